@@ -0,0 +1,341 @@
+// ============================================
+// Jay's 지렁이게임 - AI (bots and autopilot)
+// ============================================
+//
+// Pure functions over GameState, so the same code drives bots in the
+// browser and in headless simulations:
+//
+//   step(state, [...playerInput, ...getBotInputs(state)]);
+
+(function (SnakeGame) {
+'use strict';
+
+const { Utils, CollisionManager, FOODS } = SnakeGame.engine;
+
+const DIRECTIONS = [
+    { x: 0, y: -1 },
+    { x: 1, y: 0 },
+    { x: 0, y: 1 },
+    { x: -1, y: 0 }
+];
+
+const BOT_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// ============================================
+// Board Model
+// ============================================
+class BoardGrid {
+    constructor(state, player) {
+        this.state = state;
+        this.player = player;
+        this.collision = new CollisionManager(state);
+        this.blocked = this.getBlockedCells();
+    }
+
+    getBlockedCells() {
+        const blocked = new Set(this.state.obstacles);
+
+        // Warning obstacles turn solid soon; steer clear of them already
+        this.state.warningObstacles.forEach(warn => {
+            blocked.add(Utils.coordToString(warn.pos.x, warn.pos.y));
+        });
+
+        // Poison only shrinks, but nothing is gained by eating it
+        this.state.foods.forEach(food => {
+            if (FOODS[food.type].value === 0) {
+                blocked.add(Utils.coordToString(food.pos.x, food.pos.y));
+            }
+        });
+
+        // Hazards, and the cell a hazard is about to step into
+        this.state.hazards.forEach(hazard => {
+            const cells = [hazard.path[hazard.index]];
+            if (this.state.willHazardMove(hazard)) {
+                cells.push(hazard.path[this.state.getHazardTarget(hazard)]);
+            }
+            cells.forEach(pos => blocked.add(Utils.coordToString(pos.x, pos.y)));
+        });
+
+        this.state.getAlivePlayers().forEach(player => {
+            player.snake.forEach(seg => {
+                blocked.add(Utils.coordToString(seg.x, seg.y));
+            });
+        });
+
+        return blocked;
+    }
+
+    // Cells other snakes' heads can reach next tick
+    getDangerCells() {
+        const danger = new Set();
+        this.state.getAlivePlayers().forEach(other => {
+            if (other === this.player) return;
+            this.neighbors(other.snake[0]).forEach(({ pos }) => {
+                danger.add(Utils.coordToString(pos.x, pos.y));
+            });
+        });
+        return danger;
+    }
+
+    move(pos, dir) {
+        let next = { x: pos.x + dir.x, y: pos.y + dir.y };
+        if (this.state.settings.wallMode === 'wrap') {
+            next = this.collision.wrapPosition(next);
+        } else if (this.collision.checkWallCollision(next)) {
+            return null;
+        }
+        // A gate entered the wrong way is as good as a wall
+        if (!this.state.canEnter(next, dir)) {
+            return null;
+        }
+        return this.state.getPortalExit(next) || next;
+    }
+
+    neighbors(pos) {
+        return DIRECTIONS
+            .map(dir => ({ dir, pos: this.move(pos, dir) }))
+            .filter(neighbor => neighbor.pos !== null);
+    }
+
+    isOpen(pos, blocked = this.blocked) {
+        return !blocked.has(Utils.coordToString(pos.x, pos.y));
+    }
+
+    // Shortest path from `start` to the first cell matching `isGoal`.
+    // Goal cells may be blocked (a tail is a valid target). Returns the
+    // cells after `start`, or null.
+    findPath(start, isGoal, { blocked = this.blocked, avoid = null, firstDirs = DIRECTIONS } = {}) {
+        const startKey = Utils.coordToString(start.x, start.y);
+        const parents = new Map([[startKey, null]]);
+        const queue = [];
+
+        firstDirs.forEach(dir => {
+            const pos = this.move(start, dir);
+            if (pos) queue.push(pos);
+        });
+        queue.forEach(pos => parents.set(Utils.coordToString(pos.x, pos.y), startKey));
+
+        for (let i = 0; i < queue.length; i++) {
+            const pos = queue[i];
+            const key = Utils.coordToString(pos.x, pos.y);
+
+            if (avoid && avoid.has(key)) {
+                continue;
+            }
+
+            if (isGoal(pos)) {
+                const path = [];
+                for (let k = key; k !== startKey; k = parents.get(k)) {
+                    const [x, y] = k.split(',').map(Number);
+                    path.unshift({ x, y });
+                }
+                return path;
+            }
+
+            if (!this.isOpen(pos, blocked)) {
+                continue;
+            }
+
+            this.neighbors(pos).forEach(neighbor => {
+                const neighborKey = Utils.coordToString(neighbor.pos.x, neighbor.pos.y);
+                if (!parents.has(neighborKey)) {
+                    parents.set(neighborKey, key);
+                    queue.push(neighbor.pos);
+                }
+            });
+        }
+
+        return null;
+    }
+
+    countReachable(start, limit) {
+        const seen = new Set([Utils.coordToString(start.x, start.y)]);
+        const queue = [start];
+
+        for (let i = 0; i < queue.length && seen.size < limit; i++) {
+            this.neighbors(queue[i]).forEach(({ pos }) => {
+                const key = Utils.coordToString(pos.x, pos.y);
+                if (!seen.has(key) && this.isOpen(pos)) {
+                    seen.add(key);
+                    queue.push(pos);
+                }
+            });
+        }
+
+        return seen.size;
+    }
+
+    directionTo(from, to) {
+        return DIRECTIONS.find(dir => {
+            const pos = this.move(from, dir);
+            return pos && Utils.coordsEqual(pos, to);
+        });
+    }
+
+    distance(a, b) {
+        let dx = Math.abs(a.x - b.x);
+        let dy = Math.abs(a.y - b.y);
+        if (this.state.settings.wallMode === 'wrap') {
+            dx = Math.min(dx, this.state.cols - dx);
+            dy = Math.min(dy, this.state.rows - dy);
+        }
+        return dx + dy;
+    }
+}
+
+// ============================================
+// Strategies
+// ============================================
+function getTargets(state) {
+    // Every food worth points plus every power-up on the board
+    return state.foods
+        .filter(food => FOODS[food.type].value > 0)
+        .map(food => food.pos)
+        .concat(state.items.map(item => item.pos));
+}
+
+function getForwardDirs(player) {
+    // The snake can never turn back on itself
+    return DIRECTIONS.filter(dir => !(dir.x === -player.dir.x && dir.y === -player.dir.y));
+}
+
+function getSafeDirs(grid, player) {
+    const head = player.snake[0];
+    return getForwardDirs(player).filter(dir => {
+        const pos = grid.move(head, dir);
+        return pos && !grid.collision.checkCollision(pos, player, dir);
+    });
+}
+
+function greedyMove(grid, player) {
+    const head = player.snake[0];
+    const targets = getTargets(grid.state);
+    const safe = getSafeDirs(grid, player);
+    if (safe.length === 0 || targets.length === 0) {
+        return safe[0] || null;
+    }
+
+    const score = dir => {
+        const pos = grid.move(head, dir);
+        return Math.min(...targets.map(target => grid.distance(pos, target)));
+    };
+    return safe.reduce((best, dir) => (score(dir) < score(best) ? dir : best));
+}
+
+function roomiestMove(grid, player, danger = new Set()) {
+    // No plan: go where there is the most space left, away from other heads
+    const head = player.snake[0];
+    const limit = player.snake.length * 2 + 8;
+    const safe = getSafeDirs(grid, player);
+    const calm = safe.filter(dir => {
+        const pos = grid.move(head, dir);
+        return !danger.has(Utils.coordToString(pos.x, pos.y));
+    });
+    let best = null;
+    let bestRoom = -1;
+
+    (calm.length > 0 ? calm : safe).forEach(dir => {
+        const room = grid.countReachable(grid.move(head, dir), limit);
+        if (room > bestRoom) {
+            best = dir;
+            bestRoom = room;
+        }
+    });
+
+    return best;
+}
+
+function canReachTailAfter(grid, player, path) {
+    // Move a copy of the snake along the path (growing by one for the
+    // target) and check its head can still find its own tail
+    const length = player.snake.length + 1;
+    const virtual = [...path.slice().reverse(), ...player.snake].slice(0, length);
+    if (virtual.length < 3) {
+        return true;
+    }
+
+    const blocked = new Set(grid.blocked);
+    player.snake.forEach(seg => blocked.delete(Utils.coordToString(seg.x, seg.y)));
+    virtual.forEach(seg => blocked.add(Utils.coordToString(seg.x, seg.y)));
+
+    const head = virtual[0];
+    const tail = virtual[virtual.length - 1];
+    const dir = { x: head.x - virtual[1].x, y: head.y - virtual[1].y };
+    const firstDirs = DIRECTIONS.filter(d => !(d.x === -Math.sign(dir.x) && d.y === -Math.sign(dir.y)));
+
+    return grid.findPath(head, pos => Utils.coordsEqual(pos, tail), { blocked, firstDirs }) !== null;
+}
+
+function pathMove(grid, player, checkTail) {
+    const head = player.snake[0];
+    const targets = getTargets(grid.state);
+    const isTarget = pos => targets.some(target => Utils.coordsEqual(pos, target));
+    const firstDirs = getForwardDirs(player);
+    const danger = grid.getDangerCells();
+
+    // Only take a route past another head if the first step is clear of it
+    let path = grid.findPath(head, isTarget, { firstDirs, avoid: danger });
+    if (!path) {
+        const risky = grid.findPath(head, isTarget, { firstDirs });
+        if (risky && !danger.has(Utils.coordToString(risky[0].x, risky[0].y))) {
+            path = risky;
+        }
+    }
+
+    if (path && checkTail && !canReachTailAfter(grid, player, path)) {
+        path = null;
+    }
+
+    if (!path && checkTail && player.snake.length > 2) {
+        const tail = player.snake[player.snake.length - 1];
+        path = grid.findPath(head, pos => Utils.coordsEqual(pos, tail), { firstDirs, avoid: danger });
+        if (path && path.length < 2) {
+            path = null;
+        }
+    }
+
+    if (path && path.length > 0 && grid.isOpen(path[0])) {
+        return grid.directionTo(head, path[0]);
+    }
+
+    return roomiestMove(grid, player, danger);
+}
+
+// ============================================
+// Public API
+// ============================================
+function chooseDirection(state, player, difficulty = player.bot) {
+    const grid = new BoardGrid(state, player);
+
+    switch (difficulty) {
+        case 'easy':
+            return greedyMove(grid, player);
+        case 'medium':
+            return pathMove(grid, player, false);
+        case 'hard':
+            return pathMove(grid, player, true);
+        default:
+            return null;
+    }
+}
+
+// Direction changes for every living bot, in the shape step() takes
+function getBotInputs(state) {
+    const inputs = [];
+
+    state.getAlivePlayers().forEach(player => {
+        if (!player.bot || player.dirQueue.length > 0) {
+            return;
+        }
+
+        const dir = chooseDirection(state, player);
+        if (dir && !Utils.coordsEqual(dir, player.dir)) {
+            inputs.push({ x: dir.x, y: dir.y, player: player.id });
+        }
+    });
+
+    return inputs;
+}
+
+SnakeGame.ai = { BOT_DIFFICULTIES, chooseDirection, getBotInputs };
+})(globalThis.SnakeGame ??= {});
@@ -0,0 +1,324 @@
+// ============================================
+// Jay's 지렁이게임 - Sound
+// ============================================
+//
+// Every sound is synthesised with Web Audio at play time, so there are no
+// asset files. Effects and music run on separate gain buses that meet in a
+// master gain; volumes are 0-100 as stored in the settings.
+
+(function (SnakeGame) {
+'use strict';
+
+const SEMITONE = Math.pow(2, 1 / 12);
+
+// Combo steps climb a semitone per streak up to an octave
+const COMBO_MAX_STEPS = 12;
+
+// Music is scheduled this far ahead (s) by a timer that wakes every
+// MUSIC_WAKE ms, so notes stay on time even when the page is busy
+const MUSIC_LOOKAHEAD = 0.12;
+const MUSIC_WAKE = 25;
+
+// One step per game tick, in semitones above A2; null rests
+const MUSIC_ROOT = 110;
+const MUSIC_PATTERN = [0, null, 7, null, 12, null, 7, null, 3, null, 10, null, 12, 10, 7, null];
+
+class AudioManager {
+    constructor() {
+        this.context = null;
+        this.buses = null;
+        this.volumes = { masterVolume: 80, sfxVolume: 100, musicVolume: 60, muted: false };
+        this.musicEnabled = false;
+        this.musicTimer = null;
+    }
+
+    // Browsers only start audio from a user gesture, so the context is
+    // created (or woken) from the input that starts a game
+    unlock() {
+        if (!this.context) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) return false;
+
+            this.context = new AudioContext();
+            const master = this.context.createGain();
+            const sfx = this.context.createGain();
+            const music = this.context.createGain();
+            sfx.connect(master);
+            music.connect(master);
+            master.connect(this.context.destination);
+            this.buses = { master, sfx, music };
+            this.applyVolumes();
+        }
+        this.resume();
+        return true;
+    }
+
+    configure(settings) {
+        this.volumes = {
+            masterVolume: settings.masterVolume,
+            sfxVolume: settings.sfxVolume,
+            musicVolume: settings.musicVolume,
+            muted: settings.muted
+        };
+        this.musicEnabled = settings.music;
+        if (!this.musicEnabled) {
+            this.stopMusic();
+        }
+        this.applyVolumes();
+    }
+
+    applyVolumes() {
+        if (!this.buses) return;
+
+        const { masterVolume, sfxVolume, musicVolume, muted } = this.volumes;
+        const now = this.context.currentTime;
+        this.buses.master.gain.setValueAtTime(muted ? 0 : masterVolume / 100, now);
+        this.buses.sfx.gain.setValueAtTime(sfxVolume / 100, now);
+        this.buses.music.gain.setValueAtTime(musicVolume / 100 * 0.5, now);
+    }
+
+    suspend() {
+        if (this.context && this.context.state === 'running') {
+            this.context.suspend();
+        }
+    }
+
+    resume() {
+        if (this.context && this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    // ============================================
+    // Synthesis
+    // ============================================
+
+    // One oscillator note with a short attack and exponential release.
+    // `slide` glides the pitch to that frequency over the note.
+    tone({ freq, type = 'square', duration = 0.12, volume = 0.3, slide = null, delay = 0, bus = 'sfx', at = null }) {
+        const ctx = this.context;
+        const start = (at ?? ctx.currentTime) + delay;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+
+        osc.type = type;
+        osc.frequency.setValueAtTime(freq, start);
+        if (slide) {
+            osc.frequency.exponentialRampToValueAtTime(slide, start + duration);
+        }
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(volume, start + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+        osc.connect(gain);
+        // `bus` names a gain bus or is a node that leads to one
+        gain.connect(typeof bus === 'string' ? this.buses[bus] : bus);
+        osc.start(start);
+        osc.stop(start + duration + 0.02);
+    }
+
+    // Filtered white noise, for thuds and crashes
+    noise({ duration = 0.2, volume = 0.3, filter = 1200, delay = 0 }) {
+        const ctx = this.context;
+        const start = ctx.currentTime + delay;
+        const buffer = ctx.createBuffer(1, Math.ceil(ctx.sampleRate * duration), ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+
+        const source = ctx.createBufferSource();
+        const lowpass = ctx.createBiquadFilter();
+        const gain = ctx.createGain();
+        source.buffer = buffer;
+        lowpass.type = 'lowpass';
+        lowpass.frequency.setValueAtTime(filter, start);
+        gain.gain.setValueAtTime(volume, start);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+        source.connect(lowpass);
+        lowpass.connect(gain);
+        gain.connect(this.buses.sfx);
+        source.start(start);
+    }
+
+    // ============================================
+    // Sound Effects
+    // ============================================
+
+    // Plays the sounds for the events one step() produced
+    playEvents(events) {
+        if (!this.context || this.context.state !== 'running') return;
+        events.forEach(event => this.playEvent(event));
+    }
+
+    playEvent(event) {
+        switch (event.type) {
+            case 'food':
+                if (event.foodType === 'poison') {
+                    this.tone({ freq: 220, slide: 110, type: 'sawtooth', duration: 0.25, volume: 0.2 });
+                } else if (event.foodType === 'golden') {
+                    [784, 1047, 1568].forEach((freq, i) => {
+                        this.tone({ freq, type: 'triangle', duration: 0.1, volume: 0.2, delay: i * 0.05 });
+                    });
+                } else if (event.streak > 1) {
+                    const steps = Math.min(event.streak - 1, COMBO_MAX_STEPS);
+                    const freq = 523 * Math.pow(SEMITONE, steps);
+                    this.tone({ freq, type: 'square', duration: 0.08, volume: 0.2 });
+                    this.tone({ freq: freq * 1.5, type: 'square', duration: 0.1, volume: 0.15, delay: 0.06 });
+                } else {
+                    this.tone({ freq: 440, slide: 880, type: 'square', duration: 0.1, volume: 0.2 });
+                }
+                break;
+            case 'item':
+                this.playItem(event.itemType);
+                break;
+            case 'shieldBlock':
+                this.noise({ duration: 0.12, volume: 0.25, filter: 2400 });
+                this.tone({ freq: 1568, type: 'triangle', duration: 0.3, volume: 0.2 });
+                break;
+            case 'crash':
+                this.noise({ duration: 0.15, volume: 0.3, filter: 500 });
+                this.tone({ freq: 196, slide: 147, type: 'triangle', duration: 0.2, volume: 0.2 });
+                break;
+            case 'effectExpired':
+                this.tone({ freq: 440, slide: 330, type: 'sine', duration: 0.15, volume: 0.12 });
+                break;
+            case 'obstacleWarning':
+                this.tone({ freq: 880, type: 'triangle', duration: 0.08, volume: 0.2 });
+                this.tone({ freq: 880, type: 'triangle', duration: 0.08, volume: 0.2, delay: 0.12 });
+                break;
+            case 'elementSpawned':
+                this.tone({ freq: 220, slide: 660, type: 'triangle', duration: 0.25, volume: 0.2 });
+                this.tone({ freq: 330, slide: 990, type: 'sine', duration: 0.25, volume: 0.12, delay: 0.05 });
+                break;
+            case 'obstacleActivated':
+                this.noise({ duration: 0.15, volume: 0.35, filter: 600 });
+                this.tone({ freq: 120, slide: 60, type: 'sine', duration: 0.15, volume: 0.4 });
+                break;
+            case 'levelUp':
+            case 'stageClear':
+                [523, 659, 784, 1047].forEach((freq, i) => {
+                    this.tone({ freq, type: 'square', duration: 0.12, volume: 0.2, delay: i * 0.08 });
+                });
+                break;
+            case 'gameOver':
+                if (event.reason !== 'crash') {
+                    [784, 659, 523].forEach((freq, i) => {
+                        this.tone({ freq, type: 'triangle', duration: 0.2, volume: 0.2, delay: i * 0.12 });
+                    });
+                    break;
+                }
+                this.noise({ duration: 0.4, volume: 0.3, filter: 900 });
+                this.tone({ freq: 392, slide: 98, type: 'sawtooth', duration: 0.7, volume: 0.25 });
+                break;
+        }
+    }
+
+    playItem(type) {
+        switch (type) {
+            case 'slow':
+                this.tone({ freq: 660, slide: 220, type: 'sine', duration: 0.35, volume: 0.3 });
+                break;
+            case 'ghost':
+                [988, 1319, 988, 1319].forEach((freq, i) => {
+                    this.tone({ freq, type: 'sine', duration: 0.1, volume: 0.15, delay: i * 0.05 });
+                });
+                break;
+            case 'multiplier':
+                [659, 988, 1319].forEach((freq, i) => {
+                    this.tone({ freq, type: 'square', duration: 0.09, volume: 0.18, delay: i * 0.06 });
+                });
+                break;
+            case 'shrink':
+                this.tone({ freq: 880, slide: 440, type: 'square', duration: 0.15, volume: 0.18 });
+                break;
+            case 'magnet':
+                this.tone({ freq: 110, slide: 440, type: 'sawtooth', duration: 0.3, volume: 0.15 });
+                break;
+            case 'shield':
+                [784, 1175].forEach((freq, i) => {
+                    this.tone({ freq, type: 'triangle', duration: 0.2, volume: 0.2, delay: i * 0.08 });
+                });
+                break;
+            case 'reverse':
+                this.tone({ freq: 330, slide: 990, type: 'sine', duration: 0.12, volume: 0.2 });
+                this.tone({ freq: 990, slide: 330, type: 'sine', duration: 0.12, volume: 0.2, delay: 0.12 });
+                break;
+            case 'clear':
+                this.noise({ duration: 0.3, volume: 0.25, filter: 3000 });
+                break;
+        }
+    }
+
+    // Food direction cue for players who cannot see the board. `x` and
+    // `y` run -1..1: x pans left to right, y raises the pitch when the food
+    // is above.
+    cueDirection(x, y) {
+        if (!this.context || this.context.state !== 'running') return;
+
+        const clamp = value => Math.max(-1, Math.min(1, value));
+        const panner = this.context.createStereoPanner();
+        panner.pan.setValueAtTime(clamp(x), this.context.currentTime);
+        panner.connect(this.buses.sfx);
+
+        // Closer food sounds louder
+        const distance = Math.min(1, Math.hypot(x, y) / Math.SQRT2);
+        this.tone({
+            freq: 660 * Math.pow(2, clamp(y) * 0.5),
+            type: 'sine',
+            duration: 0.08,
+            volume: 0.25 - distance * 0.15,
+            bus: panner
+        });
+    }
+
+    // ============================================
+    // Music
+    // ============================================
+
+    // Plays the loop one step per tick for as long as `getInterval` returns
+    // the tick length in ms; it stops itself once that returns null
+    startMusic(getInterval) {
+        if (!this.musicEnabled || !this.context) return;
+
+        this.stopMusic();
+        let step = 0;
+        let nextNote = this.context.currentTime + 0.05;
+
+        const schedule = () => {
+            const interval = getInterval();
+            if (interval === null || !this.musicEnabled) {
+                this.musicTimer = null;
+                return;
+            }
+
+            const seconds = interval / 1000;
+            while (nextNote < this.context.currentTime + MUSIC_LOOKAHEAD) {
+                const note = MUSIC_PATTERN[step];
+                if (note !== null) {
+                    this.tone({
+                        freq: MUSIC_ROOT * Math.pow(SEMITONE, note),
+                        type: 'triangle',
+                        duration: seconds * 0.9,
+                        volume: 0.35,
+                        bus: 'music',
+                        at: nextNote
+                    });
+                }
+                nextNote += seconds;
+                step = (step + 1) % MUSIC_PATTERN.length;
+            }
+            this.musicTimer = setTimeout(schedule, MUSIC_WAKE);
+        };
+        schedule();
+    }
+
+    stopMusic() {
+        clearTimeout(this.musicTimer);
+        this.musicTimer = null;
+    }
+}
+
+SnakeGame.audio = { AudioManager };
+})(globalThis.SnakeGame ??= {});
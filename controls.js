@@ -0,0 +1,210 @@
+// ============================================
+// Jay's 지렁이게임 - Controls
+// ============================================
+//
+// Bindable actions, key presets and gamepad reading. Keys are matched on
+// KeyboardEvent.code so bindings survive layout and IME changes.
+
+(function (SnakeGame) {
+'use strict';
+
+// Labels are the `action.<id>` messages in i18n.js
+const CONTROL_ACTIONS = [
+    { id: 'up' },
+    { id: 'down' },
+    { id: 'left' },
+    { id: 'right' },
+    { id: 'pause' },
+    { id: 'restart' },
+    { id: 'autopilot' }
+];
+
+const DIRECTION_ACTIONS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+};
+
+// Each action holds a primary key and an optional second one
+const CONTROL_PRESETS = {
+    default: {
+        up: ['ArrowUp', 'KeyW'],
+        down: ['ArrowDown', 'KeyS'],
+        left: ['ArrowLeft', 'KeyA'],
+        right: ['ArrowRight', 'KeyD'],
+        pause: ['Escape'],
+        restart: ['KeyR'],
+        autopilot: ['KeyP']
+    },
+    vim: {
+        up: ['KeyK', 'ArrowUp'],
+        down: ['KeyJ', 'ArrowDown'],
+        left: ['KeyH', 'ArrowLeft'],
+        right: ['KeyL', 'ArrowRight'],
+        pause: ['Escape'],
+        restart: ['KeyR'],
+        autopilot: ['KeyP']
+    }
+};
+
+// Versus shares one keyboard: each player has a single key per direction
+const VERSUS_PRESET = [
+    { up: 'KeyW', down: 'KeyS', left: 'KeyA', right: 'KeyD' },
+    { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight' }
+];
+
+const GAMEPAD_DEADZONE = 0.5;
+
+// Touch: px of travel that counts as a swipe, ms a touch may last to count as a tap
+const SWIPE_THRESHOLD = 24;
+const TAP_MAX_DURATION = 250;
+
+// Standard gamepad mapping
+const GAMEPAD_BUTTONS = {
+    start: 9,
+    up: 12,
+    down: 13,
+    left: 14,
+    right: 15
+};
+
+const KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Esc',
+    Space: 'Space',
+    Enter: 'Enter',
+    Tab: 'Tab',
+    Backquote: '`',
+    Minus: '-',
+    Equal: '=',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Semicolon: ';',
+    Quote: "'",
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+    Backslash: '\\'
+};
+
+function formatKey(code) {
+    if (!code) return '—';
+    if (KEY_LABELS[code]) return KEY_LABELS[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (/^Numpad/.test(code)) return `Num ${code.slice(6)}`;
+    return code;
+}
+
+function getAction(controls, code) {
+    return CONTROL_ACTIONS.find(action => controls[action.id].includes(code))?.id || null;
+}
+
+// The action already using `code`, ignoring the slot being rebound
+function findConflict(controls, code, action, slot) {
+    const owner = CONTROL_ACTIONS.find(({ id }) =>
+        controls[id].some((bound, i) => bound === code && !(id === action && i === slot))
+    );
+    return owner ? owner.id : null;
+}
+
+function isValidControls(controls) {
+    if (!controls || typeof controls !== 'object') return false;
+
+    const seen = new Set();
+    return CONTROL_ACTIONS.every(({ id }) => {
+        const keys = controls[id];
+        return Array.isArray(keys) && keys.length >= 1 && keys.length <= 2 &&
+            keys.every(code => {
+                if (typeof code !== 'string' || !code || seen.has(code)) return false;
+                seen.add(code);
+                return true;
+            });
+    });
+}
+
+// The versus player and direction `code` steers, or null
+function getVersusMove(versusControls, code) {
+    for (let player = 0; player < versusControls.length; player++) {
+        const dir = Object.keys(DIRECTION_ACTIONS).find(id => versusControls[player][id] === code);
+        if (dir) return { player, dir };
+    }
+    return null;
+}
+
+// The versus key already using `code`, ignoring the one being rebound
+function findVersusConflict(versusControls, code, player, dir) {
+    const owner = getVersusMove(versusControls, code);
+    return owner && !(owner.player === player && owner.dir === dir) ? owner : null;
+}
+
+function isValidVersusControls(versusControls) {
+    if (!Array.isArray(versusControls) || versusControls.length !== VERSUS_PRESET.length) return false;
+
+    const seen = new Set();
+    return versusControls.every(keys => keys !== null && typeof keys === 'object' &&
+        Object.keys(DIRECTION_ACTIONS).every(dir => {
+            const code = keys[dir];
+            if (typeof code !== 'string' || !code || seen.has(code)) return false;
+            seen.add(code);
+            return true;
+        })
+    );
+}
+
+// D-pad first, then whichever stick is pushed furthest past the deadzone.
+// Returns { dir: 'up' | 'down' | 'left' | 'right' | null, start }.
+function readGamepad(pad, deadzone = GAMEPAD_DEADZONE) {
+    const pressed = index => Boolean(pad.buttons[index]?.pressed);
+    let dir = Object.keys(DIRECTION_ACTIONS).find(id => pressed(GAMEPAD_BUTTONS[id])) || null;
+
+    if (!dir) {
+        let strongest = deadzone;
+        for (let axis = 0; axis + 1 < pad.axes.length && axis < 4; axis += 2) {
+            const x = pad.axes[axis];
+            const y = pad.axes[axis + 1];
+            if (Math.abs(x) > strongest && Math.abs(x) >= Math.abs(y)) {
+                strongest = Math.abs(x);
+                dir = x > 0 ? 'right' : 'left';
+            } else if (Math.abs(y) > strongest) {
+                strongest = Math.abs(y);
+                dir = y > 0 ? 'down' : 'up';
+            }
+        }
+    }
+
+    return { dir, start: pressed(GAMEPAD_BUTTONS.start) };
+}
+
+// Direction of a drag along its dominant axis, or null while it is too short
+function readSwipe(dx, dy, threshold = SWIPE_THRESHOLD) {
+    if (Math.max(Math.abs(dx), Math.abs(dy)) < threshold) return null;
+    if (Math.abs(dx) > Math.abs(dy)) {
+        return dx > 0 ? 'right' : 'left';
+    }
+    return dy > 0 ? 'down' : 'up';
+}
+
+SnakeGame.controls = {
+    CONTROL_ACTIONS,
+    DIRECTION_ACTIONS,
+    CONTROL_PRESETS,
+    VERSUS_PRESET,
+    GAMEPAD_DEADZONE,
+    SWIPE_THRESHOLD,
+    TAP_MAX_DURATION,
+    formatKey,
+    getAction,
+    findConflict,
+    isValidControls,
+    getVersusMove,
+    findVersusConflict,
+    isValidVersusControls,
+    readGamepad,
+    readSwipe
+};
+})(globalThis.SnakeGame ??= {});
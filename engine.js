@@ -0,0 +1,1812 @@
+// ============================================
+// Jay's 지렁이게임 - Engine (rules only, no DOM)
+// ============================================
+//
+// Everything needed to simulate a game lives here so it can run in the
+// browser and under Node alike:
+//
+//   import './engine.js';
+//   const { createGame, step } = SnakeGame.engine;
+//   const state = createGame({ boardSize: 'small', wallMode: 'wrap', difficultyCurve: 'normal' }, 42);
+//   const events = step(state, [{ x: 0, y: 1 }]);
+//
+// Every file of the game is a classic script, so index.html opens straight
+// from file://. Each keeps its names inside a function and publishes what
+// the others use on the one global, SnakeGame (`SnakeGame.engine` here).
+
+(function (SnakeGame) {
+'use strict';
+
+// ============================================
+// Configuration & Constants
+// ============================================
+const CONFIG = {
+    CELL_SIZE: 20,
+    MIN_CELL_SIZE: 8,
+    MAX_CELL_SIZE: 40,
+    BOARD_SIZES: {
+        small: { cols: 20, rows: 15 },
+        medium: { cols: 25, rows: 20 },
+        large: { cols: 30, rows: 25 }
+    },
+    INITIAL_SPEED: 140, // ms per tick
+    DIFFICULTY_CURVES: {
+        gentle: 4,
+        normal: 6,
+        steep: 8
+    },
+    MIN_SPEED: 60,
+    MAX_FRAME_DELTA: 250, // ms of wall time a single frame may feed the simulation
+    COMBO_DURATION: 2500, // ms
+    ITEM_DURATION: 5000, // ms an item waits on the board
+    ITEM_SPAWN_CHANCE: 0.15, // 15% chance per food eaten
+    FOOD_COUNTS: [1, 2, 3, 5], // foods on the board at once
+    OBSTACLE_SPAWN_LEVEL: 3,
+    FOODS_PER_LEVEL: 5,
+    // Board elements join free play from these levels, one per level up
+    PORTAL_SPAWN_LEVEL: 4,
+    GATE_SPAWN_LEVEL: 5,
+    HAZARD_SPAWN_LEVEL: 6,
+    MAX_PORTAL_PAIRS: 2,
+    MAX_GATES: 4,
+    MAX_HAZARDS: 3,
+    HAZARD_MOVE_TICKS: 3, // a hazard steps once every this many ticks
+    HAZARD_RANGE: 3, // cells a patrol reaches either side of its spawn
+    SPAWN_CLEARANCE: 2, // new elements keep this far from every head
+    COLORS: {
+        SNAKES: [
+            { HEAD: '#4ade80', BODY: '#22c55e' },
+            { HEAD: '#fb923c', BODY: '#f97316' },
+            { HEAD: '#f472b6', BODY: '#ec4899' },
+            { HEAD: '#22d3ee', BODY: '#06b6d4' },
+            { HEAD: '#e5e7eb', BODY: '#9ca3af' }
+        ],
+        FOOD: '#ef4444',
+        FOOD_GOLDEN: '#facc15',
+        FOOD_POISON: '#84cc16',
+        FOOD_FLEEING: '#f97316',
+        FOOD_BONUS: '#f9a8d4',
+        OBSTACLE: '#64748b',
+        OBSTACLE_WARNING: 'rgba(100, 116, 139, 0.3)',
+        ITEM_SLOW: '#3b82f6',
+        ITEM_GHOST: '#a78bfa',
+        ITEM_MULTIPLIER: '#fbbf24',
+        ITEM_SHRINK: '#fb7185',
+        ITEM_MAGNET: '#ef4444',
+        ITEM_SHIELD: '#2dd4bf',
+        ITEM_REVERSE: '#c084fc',
+        ITEM_CLEAR: '#e2e8f0',
+        PORTALS: ['#38bdf8', '#f472b6', '#a3e635', '#facc15'],
+        GATE: '#94a3b8',
+        HAZARD: '#f43f5e',
+        GRID: '#374151',
+        BACKGROUND: '#1a1a2e'
+    }
+};
+
+// ============================================
+// Utility Functions
+// ============================================
+const Utils = {
+    randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    },
+
+    parseSeed(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const seed = Number(value);
+        return Number.isInteger(seed) && seed >= 0 ? seed >>> 0 : null;
+    },
+
+    coordToString(x, y) {
+        return `${x},${y}`;
+    },
+
+    coordsEqual(a, b) {
+        return a.x === b.x && a.y === b.y;
+    },
+
+    formatDuration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    },
+
+    // Errors about bad files carry a `code` the UI looks up in its message
+    // catalog; the message is for everything else
+    error(code, message) {
+        return Object.assign(new Error(message), { code });
+    }
+};
+
+// ============================================
+// Seeded Random (mulberry32)
+// ============================================
+class Random {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    choice(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    // Picks an entry with a chance proportional to its weight
+    weighted(array, weightOf) {
+        const total = array.reduce((sum, entry) => sum + weightOf(entry), 0);
+        let roll = this.next() * total;
+        return array.find(entry => (roll -= weightOf(entry)) < 0) ?? array[array.length - 1];
+    }
+}
+
+// ============================================
+// Daily Challenge
+// ============================================
+//
+// The seed and the rules come from the calendar date alone, so everyone
+// playing on the same day gets the same board and food sequence.
+const Daily = {
+    // Local calendar date as YYYY-MM-DD
+    getKey(date = new Date()) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    // FNV-1a over the date key
+    getSeed(key) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < key.length; i++) {
+            hash ^= key.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
+
+    getRules(key) {
+        // Separate stream from the game seed so the rules do not shift the food
+        const rng = new Random(this.getSeed(`rules:${key}`));
+        return {
+            boardSize: rng.choice(Object.keys(CONFIG.BOARD_SIZES)),
+            wallMode: rng.choice(['solid', 'wrap']),
+            difficultyCurve: rng.choice(Object.keys(CONFIG.DIFFICULTY_CURVES)),
+            foodCount: rng.choice(CONFIG.FOOD_COUNTS),
+            mode: 'classic'
+        };
+    },
+
+    create(date = new Date()) {
+        const key = this.getKey(date);
+        return { key, seed: this.getSeed(key), rules: this.getRules(key) };
+    }
+};
+
+// ============================================
+// Replay Format
+// ============================================
+const Replay = {
+    // Raised whenever the rules change: a replay only plays back under the
+    // rules it was recorded with
+    VERSION: 4,
+
+    DIRS: {
+        U: { x: 0, y: -1 },
+        D: { x: 0, y: 1 },
+        L: { x: -1, y: 0 },
+        R: { x: 1, y: 0 }
+    },
+
+    encodeDir(dir) {
+        return Object.keys(this.DIRS).find(code => Utils.coordsEqual(this.DIRS[code], dir));
+    },
+
+    decodeDir(code) {
+        return { ...this.DIRS[code] };
+    },
+
+    decodeInput(input) {
+        return { ...this.decodeDir(input[1]), player: input[2] || 0 };
+    },
+
+    create(state) {
+        return {
+            v: this.VERSION,
+            seed: state.seed,
+            settings: { ...state.settings },
+            inputs: state.inputLog.map(entry => entry.player
+                ? [entry.tick, this.encodeDir(entry.dir), entry.player]
+                : [entry.tick, this.encodeDir(entry.dir)]),
+            ticks: state.tickCount,
+            score: state.players[0].score
+        };
+    },
+
+    serialize(replay) {
+        return JSON.stringify(replay);
+    },
+
+    parse(text) {
+        const data = JSON.parse(text);
+        if (!data || data.v !== this.VERSION) {
+            throw Utils.error('replayVersion', '지원하지 않는 리플레이 버전입니다');
+        }
+        if (!Number.isInteger(data.seed) || !Number.isInteger(data.ticks) || !Array.isArray(data.inputs)) {
+            throw Utils.error('replayCorrupt', '리플레이 파일이 손상되었습니다');
+        }
+        const settings = data.settings || {};
+        if (settings.stage) {
+            settings.stage = Level.parse(settings.stage);
+        }
+        if ((!settings.stage && !CONFIG.BOARD_SIZES[settings.boardSize]) ||
+            !CONFIG.DIFFICULTY_CURVES[settings.difficultyCurve] ||
+            !['solid', 'wrap'].includes(settings.wallMode) ||
+            ![undefined, ...CONFIG.FOOD_COUNTS].includes(settings.foodCount) ||
+            ![undefined, ...MODE_IDS].includes(settings.mode) ||
+            ![undefined, 1, 2].includes(settings.players)) {
+            throw Utils.error('replaySettings', '리플레이 설정이 올바르지 않습니다');
+        }
+        const bots = settings.bots || [];
+        if (!Array.isArray(bots) || !bots.every(bot => ['easy', 'medium', 'hard'].includes(bot))) {
+            throw Utils.error('replaySettings', '리플레이 설정이 올바르지 않습니다');
+        }
+        const playerCount = (settings.players || 1) + bots.length;
+        const valid = data.inputs.every(input =>
+            Array.isArray(input) && Number.isInteger(input[0]) && this.DIRS[input[1]] &&
+            (input[2] === undefined || (Number.isInteger(input[2]) && input[2] < playerCount))
+        );
+        if (!valid) {
+            throw Utils.error('replayInputs', '리플레이 입력이 올바르지 않습니다');
+        }
+        return data;
+    }
+};
+
+// ============================================
+// Level Format
+// ============================================
+//
+// A stage is a plain JSON object:
+//
+//   {
+//     "version": 1,
+//     "id": "pillars",
+//     "name": "기둥",
+//     "cols": 20, "rows": 15,
+//     "map": ["....", ...],          // one string per row: '#' wall, '.' floor,
+//                                    // '1'-'9' portal (each digit exactly twice),
+//                                    // '^' 'v' '<' '>' one-way gate
+//     "start": { "x": 3, "y": 7, "dir": "R" },
+//     "target": 8,                   // foods needed to clear the stage
+//     "items": ["slow", "ghost"],    // item types allowed to spawn
+//     "wallMode": "solid"
+//   }
+const Level = {
+    VERSION: 1,
+    MIN_SIZE: 8,
+    MAX_SIZE: 60,
+
+    TILES: {
+        WALL: '#',
+        FLOOR: '.'
+    },
+    PORTAL_TILES: '123456789',
+    // One-way gates, by the direction they may be entered in
+    GATE_TILES: { '^': 'U', 'v': 'D', '<': 'L', '>': 'R' },
+
+    parse(input) {
+        const data = typeof input === 'string' ? JSON.parse(input) : input;
+        if (!data || data.version !== this.VERSION) {
+            throw Utils.error('stageVersion', '지원하지 않는 스테이지 버전입니다');
+        }
+
+        const { cols, rows, map, start } = data;
+        const inRange = n => Number.isInteger(n) && n >= this.MIN_SIZE && n <= this.MAX_SIZE;
+        if (!inRange(cols) || !inRange(rows)) {
+            throw Utils.error('stageSize', '스테이지 크기가 올바르지 않습니다');
+        }
+
+        const tiles = Object.values(this.TILES).join('') + this.PORTAL_TILES + Object.keys(this.GATE_TILES).join('');
+        const validMap = Array.isArray(map) && map.length === rows &&
+            map.every(row => typeof row === 'string' && row.length === cols &&
+                [...row].every(tile => tiles.includes(tile)));
+        if (!validMap) {
+            throw Utils.error('stageMap', '스테이지 지도가 올바르지 않습니다');
+        }
+
+        const portalCounts = {};
+        map.join('').replace(/[^1-9]/g, '').split('').forEach(tile => {
+            portalCounts[tile] = (portalCounts[tile] || 0) + 1;
+        });
+        if (Object.values(portalCounts).some(count => count !== 2)) {
+            throw Utils.error('stagePortals', '포털은 같은 번호끼리 두 칸씩 짝을 이뤄야 합니다');
+        }
+
+        if (!start || !Number.isInteger(start.x) || !Number.isInteger(start.y) ||
+            start.x < 0 || start.x >= cols || start.y < 0 || start.y >= rows ||
+            !Replay.DIRS[start.dir]) {
+            throw Utils.error('stageStart', '시작 위치가 올바르지 않습니다');
+        }
+        if (map[start.y][start.x] !== this.TILES.FLOOR) {
+            throw Utils.error('stageStartFloor', '시작 위치는 빈 칸이어야 합니다');
+        }
+
+        if (!Number.isInteger(data.target) || data.target < 1) {
+            throw Utils.error('stageTarget', '목표 먹이 수가 올바르지 않습니다');
+        }
+
+        const items = data.items === undefined ? ITEM_TYPES : data.items;
+        if (!Array.isArray(items) || !items.every(type => ITEM_TYPES.includes(type))) {
+            throw Utils.error('stageItems', '아이템 목록이 올바르지 않습니다');
+        }
+
+        const wallMode = data.wallMode || 'solid';
+        if (!['solid', 'wrap'].includes(wallMode)) {
+            throw Utils.error('stageWallMode', '벽 모드가 올바르지 않습니다');
+        }
+
+        // A name is plain text or one text per language ({ ko, en }). A
+        // stage without one gets a placeholder name when it is shown.
+        const name = data.name !== null && typeof data.name === 'object'
+            ? Object.fromEntries(Object.entries(data.name).map(([language, text]) => [language, String(text)]))
+            : String(data.name || '');
+
+        return {
+            version: this.VERSION,
+            id: String(data.id || (typeof name === 'string' && name) || 'custom'),
+            name,
+            cols,
+            rows,
+            map: [...map],
+            start: { x: start.x, y: start.y, dir: start.dir },
+            target: data.target,
+            items: [...items],
+            wallMode
+        };
+    },
+
+    serialize(level) {
+        return JSON.stringify(level, null, 2);
+    },
+
+    getWalls(level) {
+        const walls = [];
+        level.map.forEach((row, y) => {
+            [...row].forEach((tile, x) => {
+                if (tile === this.TILES.WALL) {
+                    walls.push({ x, y });
+                }
+            });
+        });
+        return walls;
+    },
+
+    // Portal pairs in digit order: [[end, end], ...]
+    getPortals(level) {
+        const ends = {};
+        level.map.forEach((row, y) => {
+            [...row].forEach((tile, x) => {
+                if (this.PORTAL_TILES.includes(tile)) {
+                    (ends[tile] = ends[tile] || []).push({ x, y });
+                }
+            });
+        });
+        return Object.keys(ends).sort().map(tile => ends[tile]);
+    },
+
+    getGates(level) {
+        const gates = [];
+        level.map.forEach((row, y) => {
+            [...row].forEach((tile, x) => {
+                if (this.GATE_TILES[tile]) {
+                    gates.push({ pos: { x, y }, dir: { ...Replay.DIRS[this.GATE_TILES[tile]] } });
+                }
+            });
+        });
+        return gates;
+    },
+
+    // Floor cells the snake can never reach from the start. Food spawns on
+    // any free cell, so a playable stage has none.
+    getUnreachable(level) {
+        const { cols, rows, map, start } = level;
+        const wrap = level.wallMode === 'wrap';
+        const partner = new Map();
+        this.getPortals(level).forEach(([a, b]) => {
+            partner.set(Utils.coordToString(a.x, a.y), b);
+            partner.set(Utils.coordToString(b.x, b.y), a);
+        });
+
+        const seen = new Set([Utils.coordToString(start.x, start.y)]);
+        const queue = [start];
+        while (queue.length > 0) {
+            const pos = queue.shift();
+            [[0, -1], [1, 0], [0, 1], [-1, 0]].forEach(([dx, dy]) => {
+                let next = { x: pos.x + dx, y: pos.y + dy };
+                if (wrap) {
+                    next = { x: (next.x + cols) % cols, y: (next.y + rows) % rows };
+                } else if (next.x < 0 || next.x >= cols || next.y < 0 || next.y >= rows) {
+                    return;
+                }
+                const tile = map[next.y][next.x];
+                if (tile === this.TILES.WALL) return;
+                if (this.GATE_TILES[tile] && !Utils.coordsEqual(Replay.DIRS[this.GATE_TILES[tile]], { x: dx, y: dy })) {
+                    return;
+                }
+
+                next = partner.get(Utils.coordToString(next.x, next.y)) || next;
+                const key = Utils.coordToString(next.x, next.y);
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    queue.push(next);
+                }
+            });
+        }
+
+        const unreachable = [];
+        map.forEach((row, y) => {
+            [...row].forEach((tile, x) => {
+                if (tile === this.TILES.FLOOR && !seen.has(Utils.coordToString(x, y))) {
+                    unreachable.push({ x, y });
+                }
+            });
+        });
+        return unreachable;
+    }
+};
+
+// ============================================
+// Item Registry
+// ============================================
+//
+// Everything an item does is declared here; the rules, the renderer, the
+// HUD and the editor all read this table. An entry has:
+//
+//   weight    relative chance of being the item that spawns
+//   duration  ms the effect lasts
+//   stacking  what picking it up again while it is active does:
+//               'refresh'  the timer restarts at the full duration
+//               'extend'   the duration adds to what is left, up to maxDuration
+//               'charges'  one more charge, up to maxCharges
+//               'instant'  it acts once on pickup and leaves no effect
+//   style     theme colour key and shape on the board
+//   label     HUD badge message key, given { seconds, count }
+//   onPickup, onTick, onExpire(state, player, effect)  optional hooks
+//
+// The rules also look up these flags on every active effect: speedFactor
+// stretches the tick, scoreFactor multiplies points, phasing passes
+// through bodies and blocksCrash absorbs a collision.
+const ITEMS = {
+    slow: {
+        weight: 3,
+        duration: 5000,
+        stacking: 'refresh',
+        style: { color: 'ITEM_SLOW', shape: 'triangle' },
+        label: 'effect.slow',
+        speedFactor: 1.5
+    },
+    ghost: {
+        weight: 3,
+        duration: 5000,
+        stacking: 'refresh',
+        style: { color: 'ITEM_GHOST', shape: 'diamond' },
+        label: 'effect.ghost',
+        phasing: true
+    },
+    multiplier: {
+        weight: 3,
+        duration: 5000,
+        maxDuration: 10000,
+        stacking: 'extend',
+        style: { color: 'ITEM_MULTIPLIER', shape: 'star' },
+        label: 'effect.multiplier',
+        scoreFactor: 2
+    },
+    shrink: {
+        weight: 2,
+        stacking: 'instant',
+        style: { color: 'ITEM_SHRINK', shape: 'square' },
+        segments: 3,
+        onPickup(state, player) {
+            player.snake.length = Math.max(1, player.snake.length - this.segments);
+        }
+    },
+    magnet: {
+        weight: 2,
+        duration: 6000,
+        stacking: 'refresh',
+        style: { color: 'ITEM_MAGNET', shape: 'horseshoe' },
+        label: 'effect.magnet',
+        range: 8,
+        onTick(state, player) {
+            state.pullFood(player.snake[0], this.range);
+        }
+    },
+    // Each charge takes one crash; the snake then stands still through
+    // `grace` ms of further crashes so there is time to turn away
+    shield: {
+        weight: 2,
+        stacking: 'charges',
+        maxCharges: 2,
+        grace: 1000,
+        style: { color: 'ITEM_SHIELD', shape: 'hexagon' },
+        label: 'effect.shield',
+        blocksCrash: true
+    },
+    reverse: {
+        weight: 1,
+        stacking: 'instant',
+        style: { color: 'ITEM_REVERSE', shape: 'hourglass' },
+        // The segments swap ends, so drawing snaps instead of easing
+        reshapes: true,
+        onPickup(state, player) {
+            state.reverseSnake(player);
+        }
+    },
+    clear: {
+        weight: 1,
+        stacking: 'instant',
+        style: { color: 'ITEM_CLEAR', shape: 'cross' },
+        onPickup(state) {
+            state.clearObstacles();
+        }
+    }
+};
+
+const ITEM_TYPES = Object.keys(ITEMS);
+
+// ============================================
+// Food Registry
+// ============================================
+//
+// Every kind of food, declared the same way as ITEMS:
+//
+//   weight    relative chance of being the food that spawns
+//   value     points as a multiple of the level's base (10 + level)
+//   counts    whether it counts toward the level, the stage target and
+//             the number of foods the board keeps
+//   grows     whether eating it adds a segment
+//   lifetime  ms before it disappears uneaten; without one it stays
+//   cluster   pieces that spawn together
+//   style     theme colour key and shape on the board
+//   onEat(state, player, food), onTick(state, food)  optional hooks
+const FOODS = {
+    normal: {
+        weight: 12,
+        value: 1,
+        counts: true,
+        grows: true,
+        style: { color: 'FOOD', shape: 'round' }
+    },
+    golden: {
+        weight: 2,
+        value: 3,
+        counts: true,
+        grows: true,
+        lifetime: 5000,
+        style: { color: 'FOOD_GOLDEN', shape: 'coin' }
+    },
+    // Steps away from the nearest head once every `every` ticks while that
+    // head is within `range`
+    fleeing: {
+        weight: 2,
+        value: 2,
+        counts: true,
+        grows: true,
+        every: 2,
+        range: 4,
+        style: { color: 'FOOD_FLEEING', shape: 'pentagon' },
+        onTick(state, food) {
+            if (state.tickCount % this.every === 0) {
+                state.fleeFood(food, this.range);
+            }
+        }
+    },
+    poison: {
+        weight: 2,
+        value: 0,
+        counts: false,
+        grows: false,
+        lifetime: 8000,
+        segments: 2,
+        style: { color: 'FOOD_POISON', shape: 'drop' },
+        onEat(state, player) {
+            player.snake.length = Math.max(1, player.snake.length - this.segments);
+            player.combo.streak = 0;
+        }
+    },
+    bonus: {
+        weight: 1,
+        value: 0.5,
+        counts: false,
+        grows: true,
+        lifetime: 6000,
+        cluster: 5,
+        style: { color: 'FOOD_BONUS', shape: 'dot' }
+    }
+};
+
+const FOOD_TYPES = Object.keys(FOODS);
+
+// ============================================
+// Game Modes
+// ============================================
+//
+// A mode adjusts the one ruleset (settings.mode, classic when missing):
+//
+//   timeLimit      ms of game time before the run ends
+//   crashPenalty   a crash costs this many points instead of the snake
+//   obstacleEvery  ms between obstacles that come whether or not food is eaten
+//   items, combos  false switches them off
+const MODES = {
+    classic: {},
+    timeAttack: {
+        timeLimit: 120000
+    },
+    zen: {
+        crashPenalty: 20
+    },
+    survival: {
+        obstacleEvery: 8000
+    },
+    pure: {
+        items: false,
+        combos: false
+    }
+};
+
+const MODE_IDS = Object.keys(MODES);
+
+// ============================================
+// Game State
+// ============================================
+class GameState {
+    constructor(settings) {
+        this.settings = settings;
+        this.stage = settings.stage || null;
+        const boardSize = this.stage || CONFIG.BOARD_SIZES[settings.boardSize];
+        this.cols = boardSize.cols;
+        this.rows = boardSize.rows;
+
+        this.status = 'menu'; // 'menu', 'playing', 'paused', 'gameover', 'cleared', 'replay', 'demo'
+        this.players = [];
+        this.winner = null;
+        this.endReason = null; // 'crash', 'timeUp' or 'ended' once the game is over
+        this.nextObstacleAt = null;
+        this.foods = [];
+        this.items = [];
+        this.obstacles = new Set();
+        this.warningObstacles = [];
+        this.portals = [];
+        this.gates = [];
+        this.hazards = [];
+
+        this.best = 0;
+        this.level = 1;
+        this.foodsEaten = 0;
+
+        this.tickInterval = CONFIG.INITIAL_SPEED;
+        this.lastTickTime = 0;
+        this.accumulator = 0;
+
+        // Simulation clock: every timer is measured in game time, which only
+        // advances when a tick runs, so a seed plus inputs replays exactly.
+        this.seed = 0;
+        this.rng = new Random(0);
+        this.tickCount = 0;
+        this.time = 0;
+        this.inputLog = [];
+    }
+
+    reset(seed = Utils.randomSeed()) {
+        this.players = this.createPlayers();
+        this.winner = null;
+        this.endReason = null;
+        this.nextObstacleAt = this.getMode().obstacleEvery || null;
+        this.foods = [];
+        this.items = [];
+        this.obstacles.clear();
+        this.warningObstacles = [];
+
+        this.level = 1;
+        this.foodsEaten = 0;
+
+        this.tickInterval = CONFIG.INITIAL_SPEED;
+        this.lastTickTime = 0;
+        this.accumulator = 0;
+
+        this.seed = seed >>> 0;
+        this.rng = new Random(this.seed);
+        this.tickCount = 0;
+        this.time = 0;
+        this.inputLog = [];
+
+        this.portals = [];
+        this.gates = [];
+        this.hazards = [];
+        if (this.stage) {
+            Level.getWalls(this.stage).forEach(pos => {
+                this.obstacles.add(Utils.coordToString(pos.x, pos.y));
+            });
+            this.portals = Level.getPortals(this.stage);
+            this.gates = Level.getGates(this.stage);
+        }
+
+        this.spawnFood();
+    }
+
+    createPlayers() {
+        const midX = Math.floor(this.cols / 2);
+        const midY = Math.floor(this.rows / 2);
+        let players;
+
+        if (this.stage) {
+            const { x, y, dir } = this.stage.start;
+            players = [this.createPlayer(0, { x, y }, Replay.DIRS[dir])];
+        } else if ((this.settings.players || 1) === 1) {
+            players = [this.createPlayer(0, { x: midX, y: midY }, { x: 1, y: 0 })];
+        } else {
+            // Versus: start on opposite sides facing each other on different rows
+            const offsetX = Math.floor(this.cols / 4);
+            players = [
+                this.createPlayer(0, { x: offsetX, y: Math.floor(this.rows / 3) }, { x: 1, y: 0 }),
+                this.createPlayer(1, { x: this.cols - 1 - offsetX, y: Math.floor(this.rows * 2 / 3) }, { x: -1, y: 0 })
+            ];
+        }
+
+        // Bots start in the corners, heading along the edge
+        const corners = [
+            { pos: { x: 2, y: 2 }, dir: { x: 1, y: 0 } },
+            { pos: { x: this.cols - 3, y: this.rows - 3 }, dir: { x: -1, y: 0 } },
+            { pos: { x: this.cols - 3, y: 2 }, dir: { x: 0, y: 1 } },
+            { pos: { x: 2, y: this.rows - 3 }, dir: { x: 0, y: -1 } }
+        ];
+        (this.settings.bots || []).forEach((difficulty, i) => {
+            const corner = corners[i % corners.length];
+            const bot = this.createPlayer(players.length, corner.pos, corner.dir);
+            bot.bot = difficulty;
+            players.push(bot);
+        });
+
+        return players;
+    }
+
+    createPlayer(id, start, dir) {
+        return {
+            id,
+            bot: null,
+            assisted: false,
+            diedAt: null,
+            snake: [{ ...start }],
+            dir: { ...dir },
+            dirQueue: [],
+            alive: true,
+            score: 0,
+            foodsEaten: 0,
+            itemsUsed: 0,
+            maxCombo: 0,
+            crashes: 0,
+            combo: { streak: 0, expiresAt: 0 },
+            // Item type -> { until, charges } while the item's effect lasts
+            effects: {}
+        };
+    }
+
+    getMode() {
+        return MODES[this.settings.mode] || MODES.classic;
+    }
+
+    getAlivePlayers() {
+        return this.players.filter(player => player.alive);
+    }
+
+    getHumanPlayers() {
+        return this.players.filter(player => !player.bot);
+    }
+
+    isVersus() {
+        return this.getHumanPlayers().length > 1;
+    }
+
+    // Records only track the solo player playing unassisted
+    countsForRecords(player) {
+        return !this.isVersus() && !player.bot && !player.assisted;
+    }
+
+    getOccupiedPositions() {
+        const occupied = new Set();
+
+        // Snakes
+        this.getAlivePlayers().forEach(player => {
+            player.snake.forEach(seg => {
+                occupied.add(Utils.coordToString(seg.x, seg.y));
+            });
+        });
+
+        // Food
+        this.foods.forEach(food => {
+            occupied.add(Utils.coordToString(food.pos.x, food.pos.y));
+        });
+
+        // Items
+        this.items.forEach(item => {
+            occupied.add(Utils.coordToString(item.pos.x, item.pos.y));
+        });
+
+        // Obstacles
+        this.obstacles.forEach(obstacleStr => {
+            occupied.add(obstacleStr);
+        });
+
+        // Warning obstacles
+        this.warningObstacles.forEach(warn => {
+            occupied.add(Utils.coordToString(warn.pos.x, warn.pos.y));
+        });
+
+        // Portals
+        this.portals.flat().forEach(pos => {
+            occupied.add(Utils.coordToString(pos.x, pos.y));
+        });
+
+        // Gates
+        this.gates.forEach(gate => {
+            occupied.add(Utils.coordToString(gate.pos.x, gate.pos.y));
+        });
+
+        // Hazards hold their whole patrol, so nothing spawns in their way
+        this.hazards.forEach(hazard => {
+            hazard.path.forEach(pos => {
+                occupied.add(Utils.coordToString(pos.x, pos.y));
+            });
+        });
+
+        return occupied;
+    }
+
+    // Cells within `radius` steps of a living head
+    getHeadZones(radius) {
+        const zones = new Set();
+        this.getAlivePlayers().forEach(player => {
+            const head = player.snake[0];
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    if (Math.abs(dx) + Math.abs(dy) <= radius) {
+                        zones.add(Utils.coordToString(head.x + dx, head.y + dy));
+                    }
+                }
+            }
+        });
+        return zones;
+    }
+
+    // `reserved` holds extra cell keys to keep clear
+    findEmptyPosition(reserved = null) {
+        const occupied = this.getOccupiedPositions();
+        if (reserved) {
+            reserved.forEach(key => occupied.add(key));
+        }
+        const maxAttempts = 100;
+
+        for (let i = 0; i < maxAttempts; i++) {
+            const x = this.rng.int(0, this.cols - 1);
+            const y = this.rng.int(0, this.rows - 1);
+            const key = Utils.coordToString(x, y);
+
+            if (!occupied.has(key)) {
+                return { x, y };
+            }
+        }
+
+        // Fallback: find all empty positions
+        for (let y = 0; y < this.rows; y++) {
+            for (let x = 0; x < this.cols; x++) {
+                const key = Utils.coordToString(x, y);
+                if (!occupied.has(key)) {
+                    return { x, y };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Entering one end of a portal puts the head on the other end
+    getPortalExit(pos) {
+        const pair = this.portals.find(([a, b]) =>
+            Utils.coordsEqual(pos, a) || Utils.coordsEqual(pos, b)
+        );
+        if (!pair) return null;
+        return Utils.coordsEqual(pos, pair[0]) ? pair[1] : pair[0];
+    }
+
+    getGate(pos) {
+        return this.gates.find(gate => Utils.coordsEqual(gate.pos, pos)) || null;
+    }
+
+    // A gate only lets a snake in moving the way its arrow points
+    canEnter(pos, dir) {
+        const gate = this.getGate(pos);
+        return !gate || Utils.coordsEqual(gate.dir, dir);
+    }
+
+    getHazardAt(pos) {
+        return this.hazards.find(hazard => Utils.coordsEqual(hazard.path[hazard.index], pos)) || null;
+    }
+
+    // The path index a hazard steps to next; it turns back at either end
+    getHazardTarget(hazard) {
+        const next = hazard.index + hazard.step;
+        return next >= 0 && next < hazard.path.length ? next : hazard.index - hazard.step;
+    }
+
+    willHazardMove(hazard) {
+        return (this.tickCount + 1) % hazard.every === 0;
+    }
+
+    getFoodCount() {
+        return this.settings.foodCount || 1;
+    }
+
+    // Tops the board up to the food count. Foods that do not count
+    // (poison, bonus clusters) can turn up on the way. Stages keep to
+    // plain food so their targets stay as designed.
+    spawnFood() {
+        const types = this.stage ? ['normal'] : FOOD_TYPES;
+        const counted = () => this.foods.filter(food => FOODS[food.type].counts).length;
+
+        while (counted() < this.getFoodCount()) {
+            const type = this.rng.weighted(types, type => FOODS[type].weight);
+            if (!this.placeFood(type)) break;
+        }
+    }
+
+    // A cluster fills in the free cells around its first piece
+    placeFood(type) {
+        const pos = this.findEmptyPosition();
+        if (!pos) return false;
+
+        const cells = [pos];
+        const size = FOODS[type].cluster || 1;
+        if (size > 1) {
+            const occupied = this.getOccupiedPositions();
+            for (let dy = -1; dy <= 1 && cells.length < size; dy++) {
+                for (let dx = -1; dx <= 1 && cells.length < size; dx++) {
+                    const cell = { x: pos.x + dx, y: pos.y + dy };
+                    if (cell.x >= 0 && cell.x < this.cols && cell.y >= 0 && cell.y < this.rows &&
+                        !occupied.has(Utils.coordToString(cell.x, cell.y)) && !Utils.coordsEqual(cell, pos)) {
+                        cells.push(cell);
+                    }
+                }
+            }
+        }
+
+        cells.forEach(cell => {
+            this.foods.push({ type, pos: cell, spawnedAt: this.time });
+        });
+        return true;
+    }
+
+    getFoodAt(pos) {
+        return this.foods.find(food => Utils.coordsEqual(food.pos, pos)) || null;
+    }
+
+    getFoodPoints(type) {
+        return Math.round((10 + this.level) * FOODS[type].value);
+    }
+
+    // Runs the food tick hooks, drops foods past their lifetime and tops
+    // the board back up
+    updateFoods() {
+        this.foods.forEach(food => {
+            const kind = FOODS[food.type];
+            if (kind.onTick) kind.onTick(this, food);
+        });
+        this.foods = this.foods.filter(food => {
+            const lifetime = FOODS[food.type].lifetime;
+            return !lifetime || this.time - food.spawnedAt < lifetime;
+        });
+        this.spawnFood();
+    }
+
+    // Moves a food to the first free cell of `cells`, if any
+    moveFood(food, cells) {
+        const occupied = this.getOccupiedPositions();
+        const next = cells.find(cell =>
+            cell.x >= 0 && cell.x < this.cols && cell.y >= 0 && cell.y < this.rows &&
+            !occupied.has(Utils.coordToString(cell.x, cell.y))
+        );
+        if (next) {
+            food.pos = next;
+        }
+    }
+
+    // Steps a food one cell further from the nearest head within `range`
+    fleeFood(food, range) {
+        const distance = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+        const heads = this.getAlivePlayers().map(player => player.snake[0]);
+        if (heads.length === 0) return;
+
+        const head = heads.reduce((near, pos) => distance(pos, food.pos) < distance(near, food.pos) ? pos : near);
+        const current = distance(head, food.pos);
+        if (current > range) return;
+
+        const cells = Object.values(Replay.DIRS)
+            .map(dir => ({ x: food.pos.x + dir.x, y: food.pos.y + dir.y }))
+            .filter(cell => distance(head, cell) > current);
+        this.moveFood(food, cells);
+    }
+
+    spawnItem() {
+        if (this.getMode().items === false) return;
+        if (this.rng.next() > CONFIG.ITEM_SPAWN_CHANCE) return;
+
+        const types = this.stage ? this.stage.items : ITEM_TYPES;
+        if (types.length === 0) return;
+
+        const pos = this.findEmptyPosition();
+        if (!pos) return;
+
+        const type = this.rng.weighted(types, type => ITEMS[type].weight);
+
+        this.items.push({
+            type,
+            pos,
+            spawnedAt: this.time
+        });
+    }
+
+    spawnObstacle() {
+        // Stages keep their hand-made layout
+        if (this.level < CONFIG.OBSTACLE_SPAWN_LEVEL || this.stage) return;
+
+        this.warnObstacle(this.findEmptyPosition());
+    }
+
+    // Obstacles show as a warning first and turn solid a moment later
+    warnObstacle(pos) {
+        if (!pos) return null;
+
+        this.warningObstacles.push({
+            pos,
+            activatesAt: this.time + 1500
+        });
+        return pos;
+    }
+
+    // Survival brings in an obstacle on the clock, away from the heads
+    updateSurvival() {
+        const every = this.getMode().obstacleEvery;
+        if (!every || this.stage || this.time < this.nextObstacleAt) return null;
+
+        this.nextObstacleAt += every;
+        return this.warnObstacle(this.findSpawnPosition());
+    }
+
+    // New elements appear away from the heads, so none lands right in
+    // front of a snake without warning
+    findSpawnPosition(reserved = []) {
+        const zones = this.getHeadZones(CONFIG.SPAWN_CLEARANCE);
+        reserved.forEach(pos => zones.add(Utils.coordToString(pos.x, pos.y)));
+        return this.findEmptyPosition(zones);
+    }
+
+    spawnPortal() {
+        const a = this.findSpawnPosition();
+        const b = a && this.findSpawnPosition([a]);
+        if (!b) return null;
+
+        this.portals.push([a, b]);
+        return a;
+    }
+
+    spawnGate() {
+        const pos = this.findSpawnPosition();
+        if (!pos) return null;
+
+        const dir = this.rng.choice(Object.values(Replay.DIRS));
+        this.gates.push({ pos, dir: { ...dir } });
+        return pos;
+    }
+
+    // A hazard patrols a straight lane of free cells through its spawn
+    spawnHazard() {
+        const pos = this.findSpawnPosition();
+        if (!pos) return null;
+
+        const zones = this.getHeadZones(CONFIG.SPAWN_CLEARANCE);
+        const occupied = this.getOccupiedPositions();
+        const isFree = cell => cell.x >= 0 && cell.x < this.cols && cell.y >= 0 && cell.y < this.rows &&
+            !occupied.has(Utils.coordToString(cell.x, cell.y)) &&
+            !zones.has(Utils.coordToString(cell.x, cell.y));
+        const axis = this.rng.next() < 0.5 ? { x: 1, y: 0 } : { x: 0, y: 1 };
+
+        const path = [pos];
+        for (const sign of [-1, 1]) {
+            for (let i = 1; i <= CONFIG.HAZARD_RANGE; i++) {
+                const cell = { x: pos.x + axis.x * i * sign, y: pos.y + axis.y * i * sign };
+                if (!isFree(cell)) break;
+                if (sign < 0) {
+                    path.unshift(cell);
+                } else {
+                    path.push(cell);
+                }
+            }
+        }
+        if (path.length < 2) return null;
+
+        this.hazards.push({
+            path,
+            index: path.indexOf(pos),
+            step: 1,
+            every: CONFIG.HAZARD_MOVE_TICKS
+        });
+        return pos;
+    }
+
+    // Free play brings in one new element per level up, taking turns
+    // between the kinds unlocked so far that still have room
+    spawnElement() {
+        if (this.stage) return null;
+
+        const kinds = [
+            { kind: 'portal', level: CONFIG.PORTAL_SPAWN_LEVEL, count: this.portals.length, max: CONFIG.MAX_PORTAL_PAIRS, spawn: () => this.spawnPortal() },
+            { kind: 'gate', level: CONFIG.GATE_SPAWN_LEVEL, count: this.gates.length, max: CONFIG.MAX_GATES, spawn: () => this.spawnGate() },
+            { kind: 'hazard', level: CONFIG.HAZARD_SPAWN_LEVEL, count: this.hazards.length, max: CONFIG.MAX_HAZARDS, spawn: () => this.spawnHazard() }
+        ].filter(entry => this.level >= entry.level && entry.count < entry.max);
+        if (kinds.length === 0) return null;
+
+        const { kind, spawn } = kinds[this.level % kinds.length];
+        const pos = spawn();
+        return pos ? { kind, pos } : null;
+    }
+
+    // Moves the hazards due this tick. A hazard never steps onto a snake;
+    // it turns around instead.
+    updateHazards() {
+        const snakes = new Set();
+        this.getAlivePlayers().forEach(player => {
+            player.snake.forEach(seg => snakes.add(Utils.coordToString(seg.x, seg.y)));
+        });
+
+        this.hazards.forEach(hazard => {
+            if (this.tickCount % hazard.every !== 0) return;
+
+            const target = this.getHazardTarget(hazard);
+            const pos = hazard.path[target];
+            if (snakes.has(Utils.coordToString(pos.x, pos.y))) {
+                hazard.step = -hazard.step;
+                return;
+            }
+            hazard.step = target > hazard.index ? 1 : -1;
+            hazard.index = target;
+        });
+    }
+
+    updateWarningObstacles() {
+        const now = this.time;
+        const toActivate = [];
+
+        this.warningObstacles = this.warningObstacles.filter(warn => {
+            if (now >= warn.activatesAt) {
+                toActivate.push(warn.pos);
+                return false;
+            }
+            return true;
+        });
+
+        toActivate.forEach(pos => {
+            this.obstacles.add(Utils.coordToString(pos.x, pos.y));
+        });
+
+        return toActivate;
+    }
+
+    updateLevel() {
+        const newLevel = Math.floor(this.foodsEaten / CONFIG.FOODS_PER_LEVEL) + 1;
+        if (newLevel > this.level) {
+            this.level = newLevel;
+            this.updateSpeed();
+
+            // Spawn obstacle on level up
+            if (this.level >= CONFIG.OBSTACLE_SPAWN_LEVEL) {
+                this.spawnObstacle();
+            }
+            return this.spawnElement();
+        }
+        return null;
+    }
+
+    updateSpeed() {
+        const curve = CONFIG.DIFFICULTY_CURVES[this.settings.difficultyCurve];
+        const decrease = (this.level - 1) * curve;
+        this.tickInterval = Math.max(CONFIG.MIN_SPEED, CONFIG.INITIAL_SPEED - decrease);
+    }
+
+    getCurrentSpeed() {
+        // Alone, slow stretches the whole tick; shared boards use canMove instead
+        return this.players.length === 1
+            ? this.tickInterval * this.getFactor(this.players[0], 'speedFactor')
+            : this.tickInterval;
+    }
+
+    canMove(player) {
+        // A slowed snake on a shared board sits out every third tick,
+        // which matches the 1.5x interval a lone snake gets
+        if (this.players.length === 1 || this.getFactor(player, 'speedFactor') === 1) {
+            return true;
+        }
+        return this.tickCount % 3 !== 0;
+    }
+
+    // ============================================
+    // Item Effects
+    // ============================================
+
+    getEffect(player, type, now = this.time) {
+        const effect = player.effects[type];
+        return effect && (effect.until > now || effect.charges > 0) ? effect : null;
+    }
+
+    hasEffect(player, type, now = this.time) {
+        return this.getEffect(player, type, now) !== null;
+    }
+
+    // Whether any active effect sets the ITEMS flag `name`
+    hasFlag(player, name, now = this.time) {
+        return Object.keys(player.effects).some(type =>
+            ITEMS[type][name] && this.hasEffect(player, type, now)
+        );
+    }
+
+    // The ITEMS factor `name` multiplied over the active effects
+    getFactor(player, name, now = this.time) {
+        return Object.keys(player.effects).reduce((factor, type) =>
+            ITEMS[type][name] && this.hasEffect(player, type, now) ? factor * ITEMS[type][name] : factor, 1
+        );
+    }
+
+    // Starts or stacks the item's effect by its stacking rule, then runs
+    // its pickup hook
+    applyItem(player, type) {
+        const item = ITEMS[type];
+        const now = this.time;
+        const effect = this.getEffect(player, type);
+
+        switch (item.stacking) {
+            case 'refresh':
+                player.effects[type] = { until: now + item.duration, charges: 0 };
+                break;
+            case 'extend': {
+                const left = effect ? effect.until - now : 0;
+                player.effects[type] = { until: now + Math.min(item.maxDuration, left + item.duration), charges: 0 };
+                break;
+            }
+            case 'charges':
+                player.effects[type] = {
+                    until: effect ? effect.until : 0,
+                    charges: Math.min(item.maxCharges, (effect ? effect.charges : 0) + 1)
+                };
+                break;
+        }
+
+        if (item.onPickup) {
+            item.onPickup(this, player, player.effects[type] || null);
+        }
+    }
+
+    // Runs the tick hooks of active effects and drops the ones that ran
+    // out. Returns the expired { player, type } pairs.
+    updateEffects() {
+        const expired = [];
+        this.getAlivePlayers().forEach(player => {
+            Object.keys(player.effects).forEach(type => {
+                const item = ITEMS[type];
+                const effect = player.effects[type];
+                if (this.hasEffect(player, type)) {
+                    if (item.onTick) item.onTick(this, player, effect);
+                    return;
+                }
+
+                delete player.effects[type];
+                if (item.onExpire) item.onExpire(this, player, effect);
+                expired.push({ player, type });
+            });
+        });
+        return expired;
+    }
+
+    // A crash into a blocksCrash effect spends a charge and starts its
+    // grace period; within the grace period crashes are free. Returns
+    // 'charge', 'grace' or null when nothing blocks it.
+    absorbCrash(player) {
+        const type = Object.keys(player.effects).find(type =>
+            ITEMS[type].blocksCrash && this.hasEffect(player, type)
+        );
+        if (!type) return null;
+
+        const effect = player.effects[type];
+        if (effect.until > this.time) return 'grace';
+
+        effect.charges--;
+        effect.until = this.time + ITEMS[type].grace;
+        return 'charge';
+    }
+
+    // Moves the nearest food worth points one cell toward `target` when
+    // it lies within `range`
+    pullFood(target, range) {
+        const distance = food => Math.abs(target.x - food.pos.x) + Math.abs(target.y - food.pos.y);
+        const food = this.foods
+            .filter(food => FOODS[food.type].value > 0 && distance(food) > 1 && distance(food) <= range)
+            .reduce((near, food) => (!near || distance(food) < distance(near) ? food : near), null);
+        if (!food) return;
+
+        // Along the longer axis first, the other one if that is blocked
+        const dx = target.x - food.pos.x;
+        const dy = target.y - food.pos.y;
+        const along = [{ x: Math.sign(dx), y: 0 }, { x: 0, y: Math.sign(dy) }];
+        if (Math.abs(dy) > Math.abs(dx)) along.reverse();
+
+        this.moveFood(food, along
+            .filter(dir => dir.x !== 0 || dir.y !== 0)
+            .map(dir => ({ x: food.pos.x + dir.x, y: food.pos.y + dir.y })));
+    }
+
+    // The tail becomes the head, heading away from the segment behind it
+    reverseSnake(player) {
+        const snake = player.snake.reverse();
+        const back = { x: -player.dir.x, y: -player.dir.y };
+        player.dirQueue = [];
+        if (snake.length < 2) {
+            player.dir = back;
+            return;
+        }
+
+        const dir = { x: snake[0].x - snake[1].x, y: snake[0].y - snake[1].y };
+        // Across a wrap edge the two cells sit on opposite sides
+        if (Math.abs(dir.x) > 1) dir.x = -Math.sign(dir.x);
+        if (Math.abs(dir.y) > 1) dir.y = -Math.sign(dir.y);
+        // Across a portal there is no telling, so turn around
+        player.dir = Math.abs(dir.x) + Math.abs(dir.y) === 1 ? dir : back;
+    }
+
+    // Stage walls stay; only obstacles that appeared during play go
+    clearObstacles() {
+        if (!this.stage) {
+            this.obstacles.clear();
+        }
+        this.warningObstacles = [];
+    }
+
+    updateCombo() {
+        const now = this.time;
+        this.players.forEach(player => {
+            if (now > player.combo.expiresAt && player.combo.streak > 0) {
+                player.combo.streak = 0;
+            }
+        });
+    }
+
+    // Zen: a crash costs points, and the snake turns aside where it can.
+    // With nowhere to turn it drops its tail until a way opens.
+    penalize(player, isSafe) {
+        const penalty = Math.min(player.score, this.getMode().crashPenalty);
+        player.score -= penalty;
+        player.crashes++;
+        player.combo.streak = 0;
+
+        const turns = [{ x: -player.dir.y, y: player.dir.x }, { x: player.dir.y, y: -player.dir.x }];
+        const turn = turns.find(isSafe);
+        player.dirQueue = [];
+        if (turn) {
+            player.dir = turn;
+        } else if (player.snake.length > 1) {
+            player.snake.pop();
+        }
+        return penalty;
+    }
+
+    addScore(player, basePoints) {
+        const comboBonus = player.combo.streak * 2;
+        let total = basePoints + comboBonus;
+
+        total *= this.getFactor(player, 'scoreFactor');
+
+        player.score += total;
+
+        if (this.countsForRecords(player) && player.score > this.best) {
+            this.best = player.score;
+        }
+
+        return total;
+    }
+
+    addCombo(player) {
+        if (this.getMode().combos === false) return;
+
+        player.combo.streak++;
+        player.combo.expiresAt = this.time + CONFIG.COMBO_DURATION;
+        player.maxCombo = Math.max(player.maxCombo, player.combo.streak);
+    }
+
+    advanceClock(interval) {
+        this.tickCount++;
+        this.time += interval;
+    }
+
+    // Game time including the partial tick already accumulated. It only moves
+    // while the loop feeds the accumulator, so it is frozen on pause and menu.
+    getDisplayTime() {
+        return this.time + Math.min(this.accumulator, this.getCurrentSpeed());
+    }
+}
+
+// ============================================
+// Collision Manager
+// ============================================
+class CollisionManager {
+    constructor(state) {
+        this.state = state;
+    }
+
+    checkWallCollision(pos) {
+        if (this.state.settings.wallMode === 'wrap') {
+            return false;
+        }
+        return pos.x < 0 || pos.x >= this.state.cols ||
+               pos.y < 0 || pos.y >= this.state.rows;
+    }
+
+    checkBodyCollision(pos, player) {
+        return this.state.getAlivePlayers().some(other => {
+            // Skip own head (index 0), it is the one moving
+            const start = other === player ? 1 : 0;
+            for (let i = start; i < other.snake.length; i++) {
+                if (Utils.coordsEqual(pos, other.snake[i])) {
+                    return true;
+                }
+            }
+            return false;
+        });
+    }
+
+    checkObstacleCollision(pos) {
+        const key = Utils.coordToString(pos.x, pos.y);
+        return this.state.obstacles.has(key);
+    }
+
+    checkGateCollision(pos, dir) {
+        return !this.state.canEnter(pos, dir);
+    }
+
+    checkHazardCollision(pos) {
+        return this.state.getHazardAt(pos) !== null;
+    }
+
+    // `dir` is the move that reaches `pos`; gates care which way it is
+    checkCollision(pos, player = this.state.players[0], dir = player.dir) {
+        // Wall collision
+        if (this.checkWallCollision(pos)) {
+            return true;
+        }
+
+        // Body collision (unless phasing)
+        if (!this.state.hasFlag(player, 'phasing')) {
+            if (this.checkBodyCollision(pos, player)) {
+                return true;
+            }
+        }
+
+        // Obstacle collision
+        if (this.checkObstacleCollision(pos)) {
+            return true;
+        }
+
+        // Entering a gate the wrong way, or running into a hazard
+        if (this.checkGateCollision(pos, dir) || this.checkHazardCollision(pos)) {
+            return true;
+        }
+
+        return false;
+    }
+
+    checkHeadOn(move, moves) {
+        // Two heads entering the same cell; ghosts slip past each other
+        if (this.state.hasFlag(move.player, 'phasing')) {
+            return false;
+        }
+        return moves.some(other =>
+            other !== move &&
+            !this.state.hasFlag(other.player, 'phasing') &&
+            Utils.coordsEqual(other.nextHead, move.nextHead)
+        );
+    }
+
+    wrapPosition(pos) {
+        return {
+            x: (pos.x + this.state.cols) % this.state.cols,
+            y: (pos.y + this.state.rows) % this.state.rows
+        };
+    }
+}
+
+
+// ============================================
+// Rules
+// ============================================
+function createGame(settings, seed) {
+    const state = new GameState(settings);
+    state.reset(seed);
+    state.status = 'playing';
+    return state;
+}
+
+function queueDirection(state, newDir, playerIndex = 0) {
+    const player = state.players[playerIndex];
+    if (!player || !player.alive) {
+        return false;
+    }
+
+    // Get the last direction in queue or current direction
+    const lastDir = player.dirQueue.length > 0
+        ? player.dirQueue[player.dirQueue.length - 1]
+        : player.dir;
+
+    // Prevent opposite direction
+    if (newDir.x === -lastDir.x && newDir.y === -lastDir.y) {
+        return false;
+    }
+
+    // Prevent duplicate
+    if (newDir.x === lastDir.x && newDir.y === lastDir.y) {
+        return false;
+    }
+
+    // Add to queue (max 2)
+    if (player.dirQueue.length < 2) {
+        const dir = { x: newDir.x, y: newDir.y };
+        player.dirQueue.push(dir);
+        state.inputLog.push({ tick: state.tickCount, dir, player: playerIndex });
+        return true;
+    }
+
+    return false;
+}
+
+// Advances the state by one tick. `input` is the list of direction changes
+// made since the previous tick; each is a direction with an optional
+// `player` index (default 0) and goes through queueDirection's rules.
+// Returns the events the tick produced so callers can react to them.
+function step(state, input = []) {
+    const events = [];
+    if (state.status === 'gameover' || state.status === 'cleared') {
+        return events;
+    }
+
+    input.forEach(dir => queueDirection(state, dir, dir.player || 0));
+
+    const collision = new CollisionManager(state);
+
+    // Advance the game clock by the interval this tick covers
+    state.advanceClock(state.getCurrentSpeed());
+
+    // The cell a move in `dir` puts a head on
+    const advance = (head, dir) => {
+        let next = { x: head.x + dir.x, y: head.y + dir.y };
+        if (state.settings.wallMode === 'wrap') {
+            next = collision.wrapPosition(next);
+        }
+        return { ...(state.getPortalExit(next) || next) };
+    };
+
+    // Work out every head's next cell before anything moves, so the
+    // result never depends on player order
+    const moves = [];
+    state.getAlivePlayers().forEach(player => {
+        if (!state.canMove(player)) {
+            return;
+        }
+
+        // Process input queue
+        if (player.dirQueue.length > 0) {
+            player.dir = player.dirQueue.shift();
+        }
+
+        moves.push({ player, nextHead: advance(player.snake[0], player.dir) });
+    });
+
+    // Check collision
+    const hits = moves.filter(move =>
+        collision.checkCollision(move.nextHead, move.player) ||
+        collision.checkHeadOn(move, moves)
+    );
+
+    // A shielded snake holds its cell this tick instead of crashing; so
+    // does any snake in zen, at a price
+    const mode = state.getMode();
+    const crashed = hits.filter(({ player, nextHead }) => {
+        const absorbed = state.absorbCrash(player);
+        if (absorbed === 'charge') {
+            events.push({ type: 'shieldBlock', player: player.id, pos: nextHead });
+        }
+        if (absorbed === null && mode.crashPenalty) {
+            const penalty = state.penalize(player, dir =>
+                !collision.checkCollision(advance(player.snake[0], dir), player, dir)
+            );
+            events.push({ type: 'crash', player: player.id, pos: nextHead, points: -penalty });
+            return false;
+        }
+        return absorbed === null;
+    });
+    crashed.forEach(({ player, nextHead }) => {
+        player.alive = false;
+        player.diedAt = state.tickCount;
+        events.push({ type: 'death', player: player.id, pos: nextHead });
+    });
+
+    // Bots drop out on their own; the game ends with the humans
+    const survivors = state.getHumanPlayers().filter(player => player.alive);
+    if (crashed.length > 0 && survivors.length <= (state.isVersus() ? 1 : 0)) {
+        state.status = 'gameover';
+        state.endReason = 'crash';
+        state.winner = survivors.length === 1 ? survivors[0].id : null;
+        const fatal = crashed.find(move => !move.player.bot);
+        events.push({ type: 'gameOver', pos: fatal.nextHead, winner: state.winner, reason: 'crash' });
+        return events;
+    }
+
+    const now = state.time;
+    moves.filter(move => !hits.includes(move)).forEach(({ player, nextHead }) => {
+        // Check food
+        const food = state.getFoodAt(nextHead);
+        const kind = food && FOODS[food.type];
+        if (food) {
+            if (kind.counts) {
+                state.foodsEaten++;
+                player.foodsEaten++;
+            }
+
+            const level = state.level;
+            let points = 0;
+            if (kind.value > 0) {
+                points = state.addScore(player, state.getFoodPoints(food.type));
+                state.addCombo(player);
+            }
+            events.push({
+                type: 'food',
+                player: player.id,
+                foodType: food.type,
+                pos: food.pos,
+                points,
+                streak: player.combo.streak
+            });
+
+            // Only counted foods bring items. The eaten food keeps its cell
+            // until the spawns are done, and the board refills at the end of
+            // the tick once the heads have moved.
+            const itemCount = state.items.length;
+            if (kind.counts) {
+                state.spawnItem();
+            }
+            if (state.items.length > itemCount) {
+                events.push({ type: 'itemSpawned', item: state.items[state.items.length - 1] });
+            }
+
+            const warningCount = state.warningObstacles.length;
+            const element = state.updateLevel();
+            if (state.level > level) {
+                events.push({ type: 'levelUp', level: state.level });
+            }
+            if (element) {
+                events.push({ type: 'elementSpawned', element: element.kind, pos: element.pos });
+            }
+            state.warningObstacles.slice(warningCount).forEach(warn => {
+                events.push({ type: 'obstacleWarning', pos: warn.pos });
+            });
+            state.foods.splice(state.foods.indexOf(food), 1);
+        }
+
+        // Move snake
+        player.snake.unshift(nextHead);
+        if (!kind || !kind.grows) {
+            player.snake.pop();
+        }
+        if (kind && kind.onEat) {
+            kind.onEat(state, player, food);
+        }
+
+        // Items act once the snake has moved, so a reverse or shrink
+        // works on its new shape
+        const itemIndex = state.items.findIndex(item => Utils.coordsEqual(nextHead, item.pos));
+        if (itemIndex !== -1) {
+            const [item] = state.items.splice(itemIndex, 1);
+            player.itemsUsed++;
+            state.applyItem(player, item.type);
+            const points = state.addScore(player, 5);
+            events.push({ type: 'item', player: player.id, itemType: item.type, pos: item.pos, points });
+        }
+    });
+
+    // Remove expired items
+    state.items = state.items.filter(item => now - item.spawnedAt <= CONFIG.ITEM_DURATION);
+    state.updateFoods();
+
+    state.updateEffects().forEach(({ player, type }) => {
+        events.push({ type: 'effectExpired', player: player.id, itemType: type });
+    });
+
+    // Hazards move after the snakes, so a head is only ever hit where it
+    // could see the hazard
+    state.updateHazards();
+
+    // Update combo
+    state.updateCombo();
+
+    // Update warning obstacles
+    state.updateWarningObstacles().forEach(pos => {
+        events.push({ type: 'obstacleActivated', pos });
+    });
+    const survivalObstacle = state.updateSurvival();
+    if (survivalObstacle) {
+        events.push({ type: 'obstacleWarning', pos: survivalObstacle });
+    }
+
+    // Stage target reached
+    if (state.stage && state.foodsEaten >= state.stage.target) {
+        state.status = 'cleared';
+        events.push({ type: 'stageClear', stage: state.stage.id });
+    }
+
+    // Time attack: the clock ran out
+    if (mode.timeLimit && state.time >= mode.timeLimit && state.status !== 'cleared') {
+        events.push(finishGame(state, 'timeUp'));
+    }
+
+    return events;
+}
+
+// Ends a run that no crash ended: the clock ran out ('timeUp') or the
+// player stopped a zen run ('ended'). On a shared board the best human
+// score wins. Returns the gameOver event.
+function finishGame(state, reason) {
+    const humans = state.getHumanPlayers().filter(player => player.alive);
+    const top = Math.max(...humans.map(player => player.score));
+    const leaders = humans.filter(player => player.score === top);
+
+    state.status = 'gameover';
+    state.endReason = reason;
+    state.winner = state.isVersus() && leaders.length === 1 ? leaders[0].id : null;
+    return { type: 'gameOver', pos: { ...state.players[0].snake[0] }, winner: state.winner, reason };
+}
+
+SnakeGame.engine = {
+    CONFIG,
+    Utils,
+    Random,
+    Daily,
+    Replay,
+    Level,
+    ITEMS,
+    ITEM_TYPES,
+    FOODS,
+    FOOD_TYPES,
+    MODES,
+    MODE_IDS,
+    GameState,
+    CollisionManager,
+    createGame,
+    queueDirection,
+    step,
+    finishGame
+};
+})(globalThis.SnakeGame ??= {});
@@ -2,446 +2,432 @@
 // Jay's 지렁이게임 - Main Game Logic
 // ============================================
 
-// ============================================
-// Configuration & Constants
-// ============================================
-const CONFIG = {
-    CELL_SIZE: 20,
-    BOARD_SIZES: {
-        small: { cols: 20, rows: 15 },
-        medium: { cols: 25, rows: 20 },
-        large: { cols: 30, rows: 25 }
-    },
-    INITIAL_SPEED: 140, // ms per tick
-    DIFFICULTY_CURVES: {
-        gentle: 4,
-        normal: 6,
-        steep: 8
-    },
-    MIN_SPEED: 60,
-    COMBO_DURATION: 2500, // ms
-    ITEM_DURATION: 5000, // ms
-    ITEM_SPAWN_CHANCE: 0.15, // 15% chance per food eaten
-    OBSTACLE_SPAWN_LEVEL: 3,
-    FOODS_PER_LEVEL: 5,
-    COLORS: {
-        SNAKE_HEAD: '#4ade80',
-        SNAKE_BODY: '#22c55e',
-        FOOD: '#ef4444',
-        OBSTACLE: '#64748b',
-        OBSTACLE_WARNING: 'rgba(100, 116, 139, 0.3)',
-        ITEM_SLOW: '#3b82f6',
-        ITEM_GHOST: '#a78bfa',
-        ITEM_MULTIPLIER: '#fbbf24',
-        GRID: '#374151',
-        BACKGROUND: '#1a1a2e'
-    }
-};
-
-// ============================================
-// Utility Functions
-// ============================================
-const Utils = {
-    randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
-    },
-
-    randomChoice(array) {
-        return array[Math.floor(Math.random() * array.length)];
-    },
-
-    coordToString(x, y) {
-        return `${x},${y}`;
-    },
-
-    coordsEqual(a, b) {
-        return a.x === b.x && a.y === b.y;
-    }
-};
+(function (SnakeGame) {
+'use strict';
+
+const {
+    CONFIG,
+    Utils,
+    Replay,
+    Level,
+    Daily,
+    ITEMS,
+    ITEM_TYPES,
+    FOODS,
+    MODES,
+    MODE_IDS,
+    GameState,
+    queueDirection,
+    step,
+    finishGame
+} = SnakeGame.engine;
+const { getBotInputs, chooseDirection } = SnakeGame.ai;
+const { Storage } = SnakeGame.storage;
+const {
+    CONTROL_ACTIONS,
+    CONTROL_PRESETS,
+    DIRECTION_ACTIONS,
+    TAP_MAX_DURATION,
+    formatKey,
+    getAction,
+    findConflict,
+    getVersusMove,
+    findVersusConflict,
+    readGamepad,
+    readSwipe
+} = SnakeGame.controls;
+const { AudioManager } = SnakeGame.audio;
+const { Theme } = SnakeGame.themes;
+const { I18n } = SnakeGame.i18n;
+const { CAMPAIGN } = SnakeGame.campaign;
 
 // ============================================
-// Storage Manager
+// Input Manager
 // ============================================
-const Storage = {
-    getBestScore() {
-        return parseInt(localStorage.getItem('snake.best') || '0');
-    },
-
-    setBestScore(score) {
-        localStorage.setItem('snake.best', score.toString());
-    },
-
-    getSettings() {
-        const defaults = {
-            boardSize: 'medium',
-            wallMode: 'solid',
-            difficultyCurve: 'normal'
-        };
-        try {
-            const saved = localStorage.getItem('snake.settings');
-            return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
-        } catch {
-            return defaults;
-        }
-    },
-
-    saveSettings(settings) {
-        localStorage.setItem('snake.settings', JSON.stringify(settings));
-    }
-};
+class InputManager {
+    constructor(game) {
+        this.game = game;
 
-// ============================================
-// Game State
-// ============================================
-class GameState {
-    constructor(settings) {
-        this.settings = settings;
-        const boardSize = CONFIG.BOARD_SIZES[settings.boardSize];
-        this.cols = boardSize.cols;
-        this.rows = boardSize.rows;
-
-        this.status = 'menu'; // 'menu', 'playing', 'paused', 'gameover'
-        this.snake = [];
-        this.dir = { x: 1, y: 0 };
-        this.dirQueue = [];
-        this.food = null;
-        this.items = [];
-        this.obstacles = new Set();
-        this.warningObstacles = [];
-
-        this.score = 0;
-        this.best = Storage.getBestScore();
-        this.level = 1;
-        this.foodsEaten = 0;
-
-        this.combo = {
-            streak: 0,
-            expiresAt: 0
-        };
+        // Set while the controls page waits for a key to bind
+        this.capture = null;
 
-        this.effects = {
-            slowUntil: 0,
-            ghostUntil: 0,
-            multUntil: 0
-        };
+        this.padStates = {};
+        // Pad index → versus player. Pads take players in the order they
+        // connect, and one that leaves frees its player for the next.
+        this.padPlayers = new Map();
+        this.gamepadFrame = null;
 
-        this.tickInterval = CONFIG.INITIAL_SPEED;
-        this.lastTickTime = 0;
-        this.accumulator = 0;
+        this.setupListeners();
     }
 
-    reset() {
-        this.snake = [
-            { x: Math.floor(this.cols / 2), y: Math.floor(this.rows / 2) }
-        ];
-        this.dir = { x: 1, y: 0 };
-        this.dirQueue = [];
-        this.food = null;
-        this.items = [];
-        this.obstacles.clear();
-        this.warningObstacles = [];
-
-        this.score = 0;
-        this.level = 1;
-        this.foodsEaten = 0;
-
-        this.combo = { streak: 0, expiresAt: 0 };
-        this.effects = { slowUntil: 0, ghostUntil: 0, multUntil: 0 };
+    setupListeners() {
+        document.addEventListener('keydown', (e) => {
+            if (this.capture) {
+                e.preventDefault();
+                this.capture(e);
+                return;
+            }
 
-        this.tickInterval = CONFIG.INITIAL_SPEED;
-        this.lastTickTime = 0;
-        this.accumulator = 0;
+            const status = this.game.state.status;
+            const action = getAction(this.game.settings.controls, e.code);
 
-        this.spawnFood();
-    }
+            // Pause works both ways, so it is checked before the playing guard
+            if (action === 'pause' && (status === 'playing' || status === 'paused')) {
+                e.preventDefault();
+                this.game.togglePause();
+                return;
+            }
 
-    getOccupiedPositions() {
-        const occupied = new Set();
+            if (status !== 'playing') return;
 
-        // Snake
-        this.snake.forEach(seg => {
-            occupied.add(Utils.coordToString(seg.x, seg.y));
-        });
+            // Direction input; versus has a key set per player
+            if (this.game.state.isVersus()) {
+                const move = getVersusMove(this.game.settings.versusControls, e.code);
+                if (move) {
+                    e.preventDefault();
+                    this.queueDirection(DIRECTION_ACTIONS[move.dir], move.player);
+                }
+            } else if (DIRECTION_ACTIONS[action]) {
+                e.preventDefault();
+                this.queueDirection(DIRECTION_ACTIONS[action]);
+            }
 
-        // Food
-        if (this.food) {
-            occupied.add(Utils.coordToString(this.food.x, this.food.y));
-        }
+            if (action === 'restart') {
+                e.preventDefault();
+                this.game.restart();
+            }
 
-        // Items
-        this.items.forEach(item => {
-            occupied.add(Utils.coordToString(item.pos.x, item.pos.y));
+            if (action === 'autopilot') {
+                e.preventDefault();
+                this.game.toggleAutopilot();
+            }
         });
 
-        // Obstacles
-        this.obstacles.forEach(obstacleStr => {
-            occupied.add(obstacleStr);
+        // The Gamepad API has no input events; poll while a pad is plugged in
+        window.addEventListener('gamepadconnected', (e) => {
+            this.getPadPlayer(e.gamepad);
+            this.pollGamepads();
         });
-
-        // Warning obstacles
-        this.warningObstacles.forEach(warn => {
-            occupied.add(Utils.coordToString(warn.pos.x, warn.pos.y));
+        window.addEventListener('gamepaddisconnected', (e) => {
+            this.padPlayers.delete(e.gamepad.index);
+            delete this.padStates[e.gamepad.index];
         });
 
-        return occupied;
+        this.setupTouch();
     }
 
-    findEmptyPosition() {
-        const occupied = this.getOccupiedPositions();
-        const maxAttempts = 100;
-
-        for (let i = 0; i < maxAttempts; i++) {
-            const x = Utils.randomInt(0, this.cols - 1);
-            const y = Utils.randomInt(0, this.rows - 1);
-            const key = Utils.coordToString(x, y);
-
-            if (!occupied.has(key)) {
-                return { x, y };
-            }
-        }
-
-        // Fallback: find all empty positions
-        for (let y = 0; y < this.rows; y++) {
-            for (let x = 0; x < this.cols; x++) {
-                const key = Utils.coordToString(x, y);
-                if (!occupied.has(key)) {
-                    return { x, y };
+    setupTouch() {
+        const canvas = this.game.canvas;
+        let swipe = null;
+
+        canvas.addEventListener('touchstart', (e) => {
+            const touch = e.changedTouches[0];
+            swipe = { x: touch.clientX, y: touch.clientY, startedAt: performance.now(), moved: false };
+            e.preventDefault();
+        }, { passive: false });
+
+        canvas.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            if (!swipe || this.game.settings.touchControls !== 'swipe') return;
+
+            // Each stretch past the threshold is one turn, so a single
+            // drag can chain several
+            const touch = e.changedTouches[0];
+            const dir = readSwipe(touch.clientX - swipe.x, touch.clientY - swipe.y);
+            if (dir) {
+                swipe = { ...swipe, x: touch.clientX, y: touch.clientY, moved: true };
+                if (this.game.state.status === 'playing') {
+                    this.queueDirection(DIRECTION_ACTIONS[dir]);
                 }
             }
-        }
-
-        return null;
-    }
-
-    spawnFood() {
-        const pos = this.findEmptyPosition();
-        if (pos) {
-            this.food = pos;
-        }
-    }
-
-    spawnItem() {
-        if (Math.random() > CONFIG.ITEM_SPAWN_CHANCE) return;
+        }, { passive: false });
 
-        const pos = this.findEmptyPosition();
-        if (!pos) return;
-
-        const types = ['slow', 'ghost', 'multiplier'];
-        const type = Utils.randomChoice(types);
-
-        this.items.push({
-            type,
-            pos,
-            spawnedAt: Date.now()
-        });
-    }
-
-    spawnObstacle() {
-        if (this.level < CONFIG.OBSTACLE_SPAWN_LEVEL) return;
-
-        const pos = this.findEmptyPosition();
-        if (!pos) return;
+        canvas.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            if (swipe && !swipe.moved && performance.now() - swipe.startedAt < TAP_MAX_DURATION) {
+                this.tap();
+            }
+            swipe = null;
+        }, { passive: false });
 
-        // Add as warning first
-        this.warningObstacles.push({
-            pos,
-            activatesAt: Date.now() + 1500
+        canvas.addEventListener('touchcancel', () => {
+            swipe = null;
         });
-    }
 
-    updateWarningObstacles() {
-        const now = Date.now();
-        const toActivate = [];
-
-        this.warningObstacles = this.warningObstacles.filter(warn => {
-            if (now >= warn.activatesAt) {
-                toActivate.push(warn.pos);
-                return false;
+        // On-screen d-pad
+        document.getElementById('touchPad').addEventListener('pointerdown', (e) => {
+            const button = e.target.closest('[data-touch]');
+            if (!button) return;
+            e.preventDefault();
+
+            const action = button.dataset.touch;
+            if (action === 'pause') {
+                this.tap();
+            } else if (this.game.state.status === 'playing') {
+                this.queueDirection(DIRECTION_ACTIONS[action]);
             }
-            return true;
-        });
-
-        toActivate.forEach(pos => {
-            this.obstacles.add(Utils.coordToString(pos.x, pos.y));
         });
     }
 
-    updateLevel() {
-        const newLevel = Math.floor(this.foodsEaten / CONFIG.FOODS_PER_LEVEL) + 1;
-        if (newLevel > this.level) {
-            this.level = newLevel;
-            this.updateSpeed();
-
-            // Spawn obstacle on level up
-            if (this.level >= CONFIG.OBSTACLE_SPAWN_LEVEL) {
-                this.spawnObstacle();
-            }
+    // A tap pauses a running game and resumes a paused one
+    tap() {
+        const status = this.game.state.status;
+        if (status === 'playing' || status === 'paused') {
+            this.game.togglePause();
         }
     }
 
-    updateSpeed() {
-        const curve = CONFIG.DIFFICULTY_CURVES[this.settings.difficultyCurve];
-        const decrease = (this.level - 1) * curve;
-        this.tickInterval = Math.max(CONFIG.MIN_SPEED, CONFIG.INITIAL_SPEED - decrease);
-    }
-
-    getCurrentSpeed() {
-        return this.effects.slowUntil > Date.now()
-            ? this.tickInterval * 1.5
-            : this.tickInterval;
-    }
+    pollGamepads() {
+        if (this.gamepadFrame) return;
 
-    updateCombo() {
-        const now = Date.now();
-        if (now > this.combo.expiresAt && this.combo.streak > 0) {
-            this.combo.streak = 0;
-        }
+        const poll = () => {
+            const pads = [...navigator.getGamepads()].filter(Boolean);
+            if (pads.length === 0) {
+                this.gamepadFrame = null;
+                this.padStates = {};
+                this.padPlayers.clear();
+                return;
+            }
+            pads.forEach(pad => this.handleGamepad(pad));
+            this.gamepadFrame = requestAnimationFrame(poll);
+        };
+        this.gamepadFrame = requestAnimationFrame(poll);
     }
 
-    addScore(basePoints) {
-        const comboBonus = this.combo.streak * 2;
-        let total = basePoints + comboBonus;
+    handleGamepad(pad) {
+        const current = readGamepad(pad);
+        const last = this.padStates[pad.index] || { dir: null, start: false };
+        this.padStates[pad.index] = current;
 
-        if (this.effects.multUntil > Date.now()) {
-            total *= 2;
+        // React to changes only, so a held stick queues one turn
+        const status = this.game.state.status;
+        if (current.start && !last.start && (status === 'playing' || status === 'paused')) {
+            this.game.togglePause();
+            return;
         }
 
-        this.score += total;
+        if (status === 'playing' && current.dir && current.dir !== last.dir) {
+            // In versus each pad steers its own snake
+            const player = this.game.state.isVersus() ? this.getPadPlayer(pad) : 0;
+            if (player < this.game.state.getHumanPlayers().length) {
+                this.queueDirection(DIRECTION_ACTIONS[current.dir], player);
+            }
+        }
+    }
 
-        if (this.score > this.best) {
-            this.best = this.score;
-            Storage.setBestScore(this.best);
+    // The first free player; a pad already seen keeps its own
+    getPadPlayer(pad) {
+        if (!this.padPlayers.has(pad.index)) {
+            const taken = new Set(this.padPlayers.values());
+            let player = 0;
+            while (taken.has(player)) {
+                player++;
+            }
+            this.padPlayers.set(pad.index, player);
         }
+        return this.padPlayers.get(pad.index);
     }
 
-    addCombo() {
-        this.combo.streak++;
-        this.combo.expiresAt = Date.now() + CONFIG.COMBO_DURATION;
+    queueDirection(newDir, player = 0) {
+        return queueDirection(this.game.state, newDir, player);
     }
 }
 
 // ============================================
-// Input Manager
+// Effects Layer
 // ============================================
-class InputManager {
-    constructor(game) {
-        this.game = game;
-        this.dirMap = {
-            'ArrowUp': { x: 0, y: -1 },
-            'ArrowDown': { x: 0, y: 1 },
-            'ArrowLeft': { x: -1, y: 0 },
-            'ArrowRight': { x: 1, y: 0 }
-        };
 
-        this.setupListeners();
-    }
+// Lifetimes in ms
+const EFFECT_DURATIONS = {
+    particle: 600,
+    text: 900,
+    banner: 1600,
+    shake: 400
+};
+const PARTICLES_PER_BURST = 12;
 
-    setupListeners() {
-        document.addEventListener('keydown', (e) => {
-            if (this.game.state.status !== 'playing') return;
+// Each item has its own shape (ITEMS[type].style) as well as its theme
+// colour, so telling them apart never depends on colour alone. Names are
+// `item.<type>`.
+function getItemColor(type) {
+    return Theme.colors[ITEMS[type].style.color];
+}
 
-            // Direction input
-            if (this.dirMap[e.key]) {
-                e.preventDefault();
-                this.queueDirection(this.dirMap[e.key]);
-            }
+// Foods follow the same rule with FOODS[type].style
+function getFoodColor(type) {
+    return Theme.colors[FOODS[type].style.color];
+}
 
-            // Pause
-            if (e.key === 'Escape') {
-                e.preventDefault();
-                this.game.pause();
-            }
+// Stage names are shown in the current language, or as a placeholder
+// when the stage has none
+function getStageName(stage) {
+    return I18n.localize(stage.name) || I18n.t('common.untitledStage');
+}
 
-            // Restart
-            if (e.key === 'r' || e.key === 'R') {
-                e.preventDefault();
-                this.game.restart();
+// Board elements flash in their own colour as they appear
+const ELEMENT_COLORS = {
+    portal: () => Theme.colors.PORTALS[0],
+    gate: () => Theme.colors.GATE,
+    hazard: () => Theme.colors.HAZARD
+};
+
+// Short-lived feedback drawn over the board. It runs on wall-clock time,
+// not game time, so a crash keeps playing out after the board stops, and
+// it never touches the seeded game random.
+class EffectsLayer {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.reduced = false;
+        this.particles = [];
+        this.texts = [];
+        this.banner = null;
+        this.shake = null;
+    }
+
+    // Turns the events from step() into effects
+    trigger(events, now = performance.now()) {
+        const state = this.renderer.state;
+        events.forEach(event => {
+            switch (event.type) {
+                case 'food':
+                    this.burst(event.pos, getFoodColor(event.foodType), now);
+                    if (event.points > 0) {
+                        this.float(event.pos, `+${I18n.number(event.points)}`, event.streak > 1 ? Theme.colors.ITEM_MULTIPLIER : '#fff', now);
+                    }
+                    break;
+                case 'item':
+                    this.burst(event.pos, getItemColor(event.itemType), now);
+                    this.float(event.pos, `+${I18n.number(event.points)}`, getItemColor(event.itemType), now);
+                    if (ITEMS[event.itemType].reshapes) {
+                        this.renderer.snapSnakes();
+                    }
+                    break;
+                case 'shieldBlock':
+                    this.burst(state.players[event.player].snake[0], Theme.colors.ITEM_SHIELD, now);
+                    break;
+                case 'crash':
+                    this.float(state.players[event.player].snake[0], I18n.number(event.points), Theme.colors.HAZARD, now);
+                    break;
+                case 'levelUp':
+                    this.banner = { text: I18n.t('banner.level', { level: event.level }), born: now };
+                    break;
+                case 'elementSpawned':
+                    this.burst(event.pos, ELEMENT_COLORS[event.element](), now);
+                    break;
+                case 'death': {
+                    // The crash cell can lie off the board, so burst on the head
+                    const player = state.players[event.player];
+                    const colors = Theme.colors.SNAKES[player.id % Theme.colors.SNAKES.length];
+                    this.burst(player.snake[0], colors.HEAD, now);
+                    break;
+                }
+                case 'gameOver':
+                    // Only a crash shakes the board
+                    if (event.reason === 'crash') {
+                        this.shake = { born: now };
+                    }
+                    break;
             }
         });
     }
 
-    queueDirection(newDir) {
-        const state = this.game.state;
-
-        // Get the last direction in queue or current direction
-        const lastDir = state.dirQueue.length > 0
-            ? state.dirQueue[state.dirQueue.length - 1]
-            : state.dir;
-
-        // Prevent opposite direction
-        if (newDir.x === -lastDir.x && newDir.y === -lastDir.y) {
-            return;
-        }
-
-        // Prevent duplicate
-        if (newDir.x === lastDir.x && newDir.y === lastDir.y) {
-            return;
-        }
-
-        // Add to queue (max 2)
-        if (state.dirQueue.length < 2) {
-            state.dirQueue.push(newDir);
+    burst(pos, color, now) {
+        if (this.reduced) return;
+
+        for (let i = 0; i < PARTICLES_PER_BURST; i++) {
+            const angle = (i / PARTICLES_PER_BURST) * Math.PI * 2 + Math.random() * 0.5;
+            this.particles.push({
+                x: pos.x + 0.5,
+                y: pos.y + 0.5,
+                dx: Math.cos(angle),
+                dy: Math.sin(angle),
+                reach: 0.8 + Math.random() * 0.8,
+                color,
+                born: now
+            });
         }
     }
-}
 
-// ============================================
-// Collision Manager
-// ============================================
-class CollisionManager {
-    constructor(state) {
-        this.state = state;
+    float(pos, text, color, now) {
+        this.texts.push({ x: pos.x + 0.5, y: pos.y + 0.5, text, color, born: now });
     }
 
-    checkWallCollision(pos) {
-        if (this.state.settings.wallMode === 'wrap') {
-            return false;
-        }
-        return pos.x < 0 || pos.x >= this.state.cols ||
-               pos.y < 0 || pos.y >= this.state.rows;
-    }
+    // Drops finished effects; true while anything is left to draw
+    update(now = performance.now()) {
+        const alive = (effect, kind) => now - effect.born < EFFECT_DURATIONS[kind];
+        this.particles = this.particles.filter(p => alive(p, 'particle'));
+        this.texts = this.texts.filter(t => alive(t, 'text'));
+        if (this.banner && !alive(this.banner, 'banner')) this.banner = null;
+        if (this.shake && !alive(this.shake, 'shake')) this.shake = null;
 
-    checkBodyCollision(pos) {
-        // Skip head (index 0)
-        for (let i = 1; i < this.state.snake.length; i++) {
-            if (Utils.coordsEqual(pos, this.state.snake[i])) {
-                return true;
-            }
-        }
-        return false;
+        return this.particles.length > 0 || this.texts.length > 0 || !!this.banner || !!this.shake;
     }
 
-    checkObstacleCollision(pos) {
-        const key = Utils.coordToString(pos.x, pos.y);
-        return this.state.obstacles.has(key);
+    // Offset for the board this frame, in CSS px
+    getShake(now) {
+        if (!this.shake || this.reduced) return { x: 0, y: 0 };
+
+        const strength = this.renderer.cellSize * 0.4 * (1 - (now - this.shake.born) / EFFECT_DURATIONS.shake);
+        return {
+            x: (Math.random() * 2 - 1) * strength,
+            y: (Math.random() * 2 - 1) * strength
+        };
     }
 
-    checkCollision(pos) {
-        // Wall collision
-        if (this.checkWallCollision(pos)) {
-            return true;
-        }
+    draw(now) {
+        const { ctx, cellSize: size } = this.renderer;
+        const age = (effect, kind) => (now - effect.born) / EFFECT_DURATIONS[kind];
 
-        // Body collision (unless ghost active)
-        if (this.state.effects.ghostUntil < Date.now()) {
-            if (this.checkBodyCollision(pos)) {
-                return true;
-            }
-        }
+        ctx.save();
 
-        // Obstacle collision
-        if (this.checkObstacleCollision(pos)) {
-            return true;
+        this.particles.forEach(p => {
+            const t = age(p, 'particle');
+            const travel = p.reach * (1 - (1 - t) * (1 - t));
+            ctx.globalAlpha = 1 - t;
+            ctx.fillStyle = p.color;
+            ctx.beginPath();
+            ctx.arc((p.x + p.dx * travel) * size, (p.y + p.dy * travel) * size, size * 0.12, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Floating points rise a cell while fading; reduced motion only fades
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = `bold ${Math.round(size * 0.7)}px sans-serif`;
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        this.texts.forEach(text => {
+            const t = age(text, 'text');
+            const rise = this.reduced ? 0 : t;
+            ctx.globalAlpha = 1 - t * t;
+            ctx.fillStyle = text.color;
+            ctx.strokeText(text.text, text.x * size, (text.y - rise) * size);
+            ctx.fillText(text.text, text.x * size, (text.y - rise) * size);
+        });
+
+        if (this.banner) {
+            this.drawBanner(age(this.banner, 'banner'));
         }
 
-        return false;
+        ctx.restore();
     }
 
-    wrapPosition(pos) {
-        return {
-            x: (pos.x + this.state.cols) % this.state.cols,
-            y: (pos.y + this.state.rows) % this.state.rows
-        };
+    drawBanner(t) {
+        const { ctx, width, height } = this.renderer;
+        const fontSize = Math.max(16, Math.round(Math.min(width / 8, height / 5)));
+        // Pops in, holds, then fades out
+        const scale = this.reduced ? 1 : Math.min(1, 0.7 + t * 3);
+
+        ctx.globalAlpha = Math.min(1, t * 8, (1 - t) * 4);
+        ctx.translate(width / 2, height / 2);
+        ctx.scale(scale, scale);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        ctx.fillRect(-width / 2, -fontSize * 0.9, width, fontSize * 1.8);
+
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        ctx.fillStyle = Theme.colors.ITEM_MULTIPLIER;
+        ctx.fillText(this.banner.text, 0, 0);
     }
 }
 
@@ -449,54 +435,89 @@ class CollisionManager {
 // Renderer
 // ============================================
 class Renderer {
-    constructor(canvas, state) {
+    // `getSpace` returns the CSS px the board may fill; without it cells
+    // keep the default CONFIG.CELL_SIZE
+    constructor(canvas, state, getSpace = null) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.state = state;
+        this.getSpace = getSpace;
+        this.effects = new EffectsLayer(this);
         this.resizeCanvas();
     }
 
+    // Largest whole-pixel cell that fits the board in the space given
+    fitCellSize() {
+        if (!this.getSpace) return CONFIG.CELL_SIZE;
+
+        const space = this.getSpace();
+        const size = Math.floor(Math.min(space.width / this.state.cols, space.height / this.state.rows));
+        return Math.max(CONFIG.MIN_CELL_SIZE, Math.min(CONFIG.MAX_CELL_SIZE, size || CONFIG.CELL_SIZE));
+    }
+
     resizeCanvas() {
-        this.canvas.width = this.state.cols * CONFIG.CELL_SIZE;
-        this.canvas.height = this.state.rows * CONFIG.CELL_SIZE;
+        this.cellSize = this.fitCellSize();
+        this.width = this.state.cols * this.cellSize;
+        this.height = this.state.rows * this.cellSize;
+
+        // Draw in CSS px onto a backing store at device resolution
+        this.pixelRatio = window.devicePixelRatio || 1;
+        this.canvas.width = Math.round(this.width * this.pixelRatio);
+        this.canvas.height = Math.round(this.height * this.pixelRatio);
+        this.canvas.style.width = `${this.width}px`;
+        this.canvas.style.aspectRatio = `${this.width} / ${this.height}`;
+        this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
     }
 
     clear() {
-        this.ctx.fillStyle = CONFIG.COLORS.BACKGROUND;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillStyle = Theme.colors.BACKGROUND;
+        this.ctx.fillRect(0, 0, this.width, this.height);
     }
 
     drawGrid() {
-        this.ctx.strokeStyle = CONFIG.COLORS.GRID;
-        this.ctx.lineWidth = 0.5;
+        // Lines go down in device pixels, snapped to pixel centres, so
+        // they stay one sharp pixel wide at any scale
+        const { ctx, canvas } = this;
+        const step = this.cellSize * this.pixelRatio;
+        const snap = (value, max) => Math.min(Math.round(value), max - 1) + 0.5;
+
+        // Keep any shake offset, rounded to whole device pixels
+        const { e, f } = ctx.getTransform();
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, Math.round(e), Math.round(f));
+        ctx.strokeStyle = Theme.colors.GRID;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
 
         for (let x = 0; x <= this.state.cols; x++) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(x * CONFIG.CELL_SIZE, 0);
-            this.ctx.lineTo(x * CONFIG.CELL_SIZE, this.canvas.height);
-            this.ctx.stroke();
+            const px = snap(x * step, canvas.width);
+            ctx.moveTo(px, 0);
+            ctx.lineTo(px, canvas.height);
         }
 
         for (let y = 0; y <= this.state.rows; y++) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, y * CONFIG.CELL_SIZE);
-            this.ctx.lineTo(this.canvas.width, y * CONFIG.CELL_SIZE);
-            this.ctx.stroke();
+            const py = snap(y * step, canvas.height);
+            ctx.moveTo(0, py);
+            ctx.lineTo(canvas.width, py);
         }
+
+        ctx.stroke();
+        ctx.restore();
     }
 
     drawCell(x, y, color, isCircle = false) {
-        const px = x * CONFIG.CELL_SIZE;
-        const py = y * CONFIG.CELL_SIZE;
+        const size = this.cellSize;
+        const px = x * size;
+        const py = y * size;
 
         this.ctx.fillStyle = color;
 
         if (isCircle) {
             this.ctx.beginPath();
             this.ctx.arc(
-                px + CONFIG.CELL_SIZE / 2,
-                py + CONFIG.CELL_SIZE / 2,
-                CONFIG.CELL_SIZE / 2 - 2,
+                px + size / 2,
+                py + size / 2,
+                size / 2 - 2,
                 0,
                 Math.PI * 2
             );
@@ -505,8 +526,8 @@ class Renderer {
             this.ctx.fillRect(
                 px + 1,
                 py + 1,
-                CONFIG.CELL_SIZE - 2,
-                CONFIG.CELL_SIZE - 2
+                size - 2,
+                size - 2
             );
         }
     }
@@ -514,182 +535,851 @@ class Renderer {
     drawObstacles() {
         this.state.obstacles.forEach(obstacleStr => {
             const [x, y] = obstacleStr.split(',').map(Number);
-            this.drawCell(x, y, CONFIG.COLORS.OBSTACLE);
+            this.drawCell(x, y, Theme.colors.OBSTACLE);
         });
 
+        // Cells about to turn solid pulse so they are hard to miss
+        const pulse = this.effects.reduced ? 0.5 : (Math.sin(this.state.getDisplayTime() / 120) + 1) / 2;
         this.state.warningObstacles.forEach(warn => {
-            this.drawCell(warn.pos.x, warn.pos.y, CONFIG.COLORS.OBSTACLE_WARNING);
+            this.drawCell(warn.pos.x, warn.pos.y, Theme.colors.OBSTACLE_WARNING);
+
+            const size = this.cellSize;
+            this.ctx.save();
+            this.ctx.globalAlpha = 0.3 + pulse * 0.6;
+            this.ctx.strokeStyle = Theme.colors.OBSTACLE;
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(warn.pos.x * size + 2, warn.pos.y * size + 2, size - 4, size - 4);
+            this.ctx.restore();
+        });
+    }
+
+    drawPortals() {
+        this.state.portals.forEach(([a, b], pair) => {
+            this.drawPortal(a.x, a.y, pair);
+            this.drawPortal(b.x, b.y, pair);
+        });
+    }
+
+    drawPortal(x, y, pair) {
+        const size = this.cellSize;
+        const color = Theme.colors.PORTALS[pair % Theme.colors.PORTALS.length];
+        const cx = x * size + size / 2;
+        const cy = y * size + size / 2;
+        const ring = Math.max(1.5, size * 0.15);
+
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = ring;
+        this.ctx.beginPath();
+        this.ctx.arc(cx, cy, size / 2 - ring, 0, Math.PI * 2);
+        this.ctx.stroke();
+
+        // Pair number, so matching ends are easy to spot
+        this.ctx.fillStyle = color;
+        this.ctx.font = `bold ${Math.round(size / 2)}px sans-serif`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(pair + 1, cx, cy);
+    }
+
+    drawGates() {
+        this.state.gates.forEach(gate => this.drawGate(gate.pos.x, gate.pos.y, gate.dir));
+    }
+
+    // A tinted cell with a chevron pointing the one way in
+    drawGate(x, y, dir) {
+        const size = this.cellSize;
+        const ctx = this.ctx;
+        this.drawCell(x, y, Theme.colors.GRID);
+
+        ctx.save();
+        ctx.translate((x + 0.5) * size, (y + 0.5) * size);
+        ctx.rotate(Math.atan2(dir.y, dir.x));
+        ctx.strokeStyle = Theme.colors.GATE;
+        ctx.lineWidth = Math.max(1.5, size * 0.15);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(-size * 0.15, -size * 0.3);
+        ctx.lineTo(size * 0.2, 0);
+        ctx.lineTo(-size * 0.15, size * 0.3);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Each hazard over a faint line showing its patrol
+    drawHazards() {
+        const size = this.cellSize;
+        const ctx = this.ctx;
+        this.state.hazards.forEach(hazard => {
+            const first = hazard.path[0];
+            const last = hazard.path[hazard.path.length - 1];
+            ctx.save();
+            ctx.globalAlpha = 0.35;
+            ctx.strokeStyle = Theme.colors.HAZARD;
+            ctx.lineWidth = Math.max(1, size * 0.1);
+            ctx.setLineDash([size * 0.2, size * 0.2]);
+            ctx.beginPath();
+            ctx.moveTo((first.x + 0.5) * size, (first.y + 0.5) * size);
+            ctx.lineTo((last.x + 0.5) * size, (last.y + 0.5) * size);
+            ctx.stroke();
+            ctx.restore();
+
+            const pos = hazard.path[hazard.index];
+            this.drawShape(pos.x, pos.y, 'spikes', Theme.colors.HAZARD);
         });
     }
 
     drawFood() {
-        if (this.state.food) {
-            this.drawCell(this.state.food.x, this.state.food.y, CONFIG.COLORS.FOOD, true);
-        }
+        const now = this.state.getDisplayTime();
+        this.state.foods.forEach(food => {
+            // Blink when about to go, like items
+            const lifetime = FOODS[food.type].lifetime;
+            if (lifetime && lifetime - (now - food.spawnedAt) < 1000 && Math.floor(now / 200) % 2 === 0) {
+                return;
+            }
+
+            this.drawShape(food.pos.x, food.pos.y, FOODS[food.type].style.shape, getFoodColor(food.type));
+        });
     }
 
     drawItems() {
-        const now = Date.now();
+        const now = this.state.getDisplayTime();
         this.state.items.forEach(item => {
-            let color;
-            switch (item.type) {
-                case 'slow': color = CONFIG.COLORS.ITEM_SLOW; break;
-                case 'ghost': color = CONFIG.COLORS.ITEM_GHOST; break;
-                case 'multiplier': color = CONFIG.COLORS.ITEM_MULTIPLIER; break;
-            }
-
             // Blink when about to expire
             const timeLeft = CONFIG.ITEM_DURATION - (now - item.spawnedAt);
             if (timeLeft < 1000 && Math.floor(now / 200) % 2 === 0) {
                 return;
             }
 
-            this.drawCell(item.pos.x, item.pos.y, color, true);
+            this.drawShape(item.pos.x, item.pos.y, ITEMS[item.type].style.shape, getItemColor(item.type));
         });
     }
 
-    drawSnake() {
-        const isGhost = this.state.effects.ghostUntil > Date.now();
-
-        // Draw body
-        for (let i = 1; i < this.state.snake.length; i++) {
-            const seg = this.state.snake[i];
-            this.ctx.fillStyle = CONFIG.COLORS.SNAKE_BODY;
-            if (isGhost) {
-                this.ctx.globalAlpha = 0.5;
+    drawShape(x, y, shape, color) {
+        const size = this.cellSize;
+        const cx = (x + 0.5) * size;
+        const cy = (y + 0.5) * size;
+        const r = size / 2 - 1;
+        const ctx = this.ctx;
+
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        switch (shape) {
+            case 'triangle': // Pointing down, for slowing down
+                ctx.moveTo(cx - r, cy - r * 0.7);
+                ctx.lineTo(cx + r, cy - r * 0.7);
+                ctx.lineTo(cx, cy + r * 0.9);
+                break;
+            case 'diamond':
+                ctx.moveTo(cx, cy - r);
+                ctx.lineTo(cx + r * 0.75, cy);
+                ctx.lineTo(cx, cy + r);
+                ctx.lineTo(cx - r * 0.75, cy);
+                break;
+            case 'square':
+                ctx.rect(cx - r * 0.7, cy - r * 0.7, r * 1.4, r * 1.4);
+                break;
+            case 'coin': // A ring: the inner circle runs the other way and stays empty
+                ctx.arc(cx, cy, r - 1, 0, Math.PI * 2);
+                ctx.moveTo(cx + r * 0.4, cy);
+                ctx.arc(cx, cy, r * 0.4, 0, Math.PI * 2, true);
+                break;
+            case 'pentagon':
+                for (let i = 0; i < 5; i++) {
+                    const angle = -Math.PI / 2 + i * Math.PI * 2 / 5;
+                    ctx.lineTo(cx + Math.cos(angle) * r, cy + Math.sin(angle) * r);
+                }
+                break;
+            case 'drop': // Point up, like a drip of poison
+                ctx.moveTo(cx, cy - r);
+                ctx.quadraticCurveTo(cx + r * 0.8, cy, cx + r * 0.7, cy + r * 0.3);
+                ctx.arc(cx, cy + r * 0.3, r * 0.7, 0, Math.PI);
+                ctx.quadraticCurveTo(cx - r * 0.8, cy, cx, cy - r);
+                break;
+            case 'dot':
+                ctx.arc(cx, cy, r * 0.5, 0, Math.PI * 2);
+                break;
+            case 'hexagon':
+                for (let i = 0; i < 6; i++) {
+                    const angle = -Math.PI / 2 + i * Math.PI / 3;
+                    ctx.lineTo(cx + Math.cos(angle) * r, cy + Math.sin(angle) * r);
+                }
+                break;
+            case 'hourglass': // Two triangles meeting point to point, for swapping ends
+                ctx.moveTo(cx - r * 0.8, cy - r);
+                ctx.lineTo(cx + r * 0.8, cy - r);
+                ctx.lineTo(cx - r * 0.8, cy + r);
+                ctx.lineTo(cx + r * 0.8, cy + r);
+                break;
+            case 'cross': {
+                const arm = r * 0.35;
+                [[-arm, -r], [arm, -r], [arm, -arm], [r, -arm], [r, arm], [arm, arm],
+                    [arm, r], [-arm, r], [-arm, arm], [-r, arm], [-r, -arm], [-arm, -arm]]
+                    .forEach(([dx, dy]) => ctx.lineTo(cx + dx, cy + dy));
+                break;
             }
-            this.drawCell(seg.x, seg.y, CONFIG.COLORS.SNAKE_BODY);
-            this.ctx.globalAlpha = 1;
+            case 'horseshoe': // A magnet, open end up
+                ctx.moveTo(cx - r, cy - r);
+                ctx.lineTo(cx - r, cy);
+                ctx.arc(cx, cy, r, Math.PI, 0, true);
+                ctx.lineTo(cx + r, cy - r);
+                ctx.lineTo(cx + r * 0.45, cy - r);
+                ctx.lineTo(cx + r * 0.45, cy);
+                ctx.arc(cx, cy, r * 0.45, 0, Math.PI);
+                ctx.lineTo(cx - r * 0.45, cy - r);
+                break;
+            case 'spikes':
+                for (let i = 0; i < 16; i++) {
+                    const angle = i * Math.PI / 8;
+                    const radius = i % 2 === 0 ? r : r * 0.6;
+                    ctx.lineTo(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius);
+                }
+                break;
+            case 'star':
+                for (let i = 0; i < 10; i++) {
+                    const angle = -Math.PI / 2 + i * Math.PI / 5;
+                    const radius = i % 2 === 0 ? r : r * 0.45;
+                    ctx.lineTo(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius);
+                }
+                break;
+            default:
+                ctx.arc(cx, cy, r - 1, 0, Math.PI * 2);
         }
+        ctx.closePath();
+        ctx.fill();
+    }
 
-        // Draw head
-        if (this.state.snake.length > 0) {
-            const head = this.state.snake[0];
-            this.drawCell(head.x, head.y, CONFIG.COLORS.SNAKE_HEAD);
+    // Skips easing into the next tick, for snakes that changed shape
+    // rather than moved
+    snapSnakes() {
+        this.currentSnakes = null;
+    }
+
+    // Remembers the snakes as they stood one tick ago so movement can be
+    // eased between ticks. A skipped or rewound tick simply snaps.
+    trackSnakes() {
+        const tick = this.state.tickCount;
+        if (tick === this.trackedTick) return;
+
+        const current = new Map(this.state.players.map(player =>
+            [player.id, player.snake.map(seg => ({ ...seg }))]
+        ));
+        this.previousSnakes = this.currentSnakes && tick === this.trackedTick + 1
+            ? this.currentSnakes
+            : current;
+        this.currentSnakes = current;
+        this.trackedTick = tick;
+    }
+
+    // How far the loop is into the next tick. Boards that are not moving
+    // show the settled grid.
+    getProgress() {
+        if (!['playing', 'demo', 'paused', 'replay'].includes(this.state.status)) {
+            return 1;
+        }
+        return Math.min(1, Math.max(0, this.state.accumulator / this.state.getCurrentSpeed()));
+    }
 
-            // Draw eyes
-            this.ctx.fillStyle = '#000';
-            const px = head.x * CONFIG.CELL_SIZE;
-            const py = head.y * CONFIG.CELL_SIZE;
-            const eyeSize = 3;
+    drawSnakes(progress) {
+        this.trackSnakes();
 
-            if (this.state.dir.x === 1) { // Right
-                this.ctx.fillRect(px + 12, py + 6, eyeSize, eyeSize);
-                this.ctx.fillRect(px + 12, py + 12, eyeSize, eyeSize);
-            } else if (this.state.dir.x === -1) { // Left
-                this.ctx.fillRect(px + 5, py + 6, eyeSize, eyeSize);
-                this.ctx.fillRect(px + 5, py + 12, eyeSize, eyeSize);
-            } else if (this.state.dir.y === -1) { // Up
-                this.ctx.fillRect(px + 6, py + 5, eyeSize, eyeSize);
-                this.ctx.fillRect(px + 12, py + 5, eyeSize, eyeSize);
-            } else { // Down
-                this.ctx.fillRect(px + 6, py + 12, eyeSize, eyeSize);
-                this.ctx.fillRect(px + 12, py + 12, eyeSize, eyeSize);
+        // A finished round keeps the snakes that crashed on the last tick
+        const showDead = this.state.status === 'gameover';
+        this.state.players.forEach(player => {
+            if (player.alive || (showDead && player.diedAt === this.state.tickCount)) {
+                this.drawSnake(player, progress);
             }
+        });
+    }
+
+    drawSnake(player, progress = 1) {
+        const snake = player.snake;
+        if (snake.length === 0) return;
+
+        const colors = Theme.colors.SNAKES[player.id % Theme.colors.SNAKES.length];
+        const isGhost = this.state.hasFlag(player, 'phasing');
+        const size = this.cellSize;
+        const ctx = this.ctx;
+
+        // Only neighbouring cells are eased; a jump through a wrap edge or
+        // a portal snaps and breaks the tube
+        const adjacent = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y) <= 1;
+        const ease = (from, to) => from && adjacent(from, to)
+            ? { x: from.x + (to.x - from.x) * progress, y: from.y + (to.y - from.y) * progress }
+            : to;
+        const center = pos => ({ x: (pos.x + 0.5) * size, y: (pos.y + 0.5) * size });
+
+        // The head slides out of its last cell and the tail slides after it
+        const previous = this.previousSnakes?.get(player.id) || snake;
+        const tail = snake[snake.length - 1];
+        const points = [ease(previous[0], snake[0]), ...snake.slice(1)];
+        if (snake.length > 1) {
+            points.push(ease(previous[snake.length - 1], tail));
+        }
+
+        // Draw body as one rounded tube
+        if (points.length > 1) {
+            ctx.save();
+            if (isGhost) {
+                ctx.globalAlpha = 0.5;
+            }
+            ctx.strokeStyle = colors.BODY;
+            ctx.lineWidth = size * 0.7;
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            ctx.beginPath();
+            points.forEach((pos, i) => {
+                const { x, y } = center(pos);
+                if (i === 0 || !adjacent(points[i - 1], pos)) {
+                    ctx.moveTo(x, y);
+                }
+                ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+            ctx.restore();
         }
+
+        // Draw head
+        const head = center(points[0]);
+        ctx.fillStyle = colors.HEAD;
+        ctx.beginPath();
+        ctx.arc(head.x, head.y, size * 0.45, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Draw eyes, set forward and to either side of the heading
+        const { dir } = player;
+        ctx.fillStyle = '#000';
+        [-1, 1].forEach(side => {
+            ctx.beginPath();
+            ctx.arc(
+                head.x + dir.x * size * 0.15 - dir.y * side * size * 0.2,
+                head.y + dir.y * size * 0.15 + dir.x * side * size * 0.2,
+                size * 0.09,
+                0,
+                Math.PI * 2
+            );
+            ctx.fill();
+        });
     }
 
-    render() {
+    render(progress = this.getProgress()) {
+        const now = performance.now();
+        this.effects.update(now);
+        const shake = this.effects.getShake(now);
+
         this.clear();
+        this.ctx.save();
+        this.ctx.translate(shake.x, shake.y);
         this.drawGrid();
         this.drawObstacles();
+        this.drawPortals();
+        this.drawGates();
         this.drawFood();
         this.drawItems();
-        this.drawSnake();
+        this.drawHazards();
+        this.drawSnakes(progress);
+        this.ctx.restore();
+
+        this.effects.draw(now);
     }
 }
 
 // ============================================
 // HUD Manager
 // ============================================
+// Rules a score table or daily challenge is played under, each labelled
+// by its `rule.<rule>.<value>` message
+const RULE_VALUES = {
+    boardSize: Object.keys(CONFIG.BOARD_SIZES),
+    wallMode: ['solid', 'wrap'],
+    difficultyCurve: Object.keys(CONFIG.DIFFICULTY_CURVES),
+    foodCount: CONFIG.FOOD_COUNTS,
+    mode: MODE_IDS
+};
+
+// High score viewer filter selects and the rule each one picks
+const SCORE_FILTERS = {
+    scoreBoardSize: 'boardSize',
+    scoreWallMode: 'wallMode',
+    scoreCurve: 'difficultyCurve',
+    scoreFoodCount: 'foodCount',
+    scoreMode: 'mode'
+};
+
+// The extra HUD item each mode shows, labelled `label` and filled by `value`
+const MODE_HUD = {
+    timeAttack: {
+        label: 'hud.timeLeft',
+        value: (state, now) => Utils.formatDuration(Math.max(0, MODES.timeAttack.timeLimit - now))
+    },
+    zen: {
+        label: 'hud.crashes',
+        value: state => state.getHumanPlayers().map(player => I18n.number(player.crashes)).join(' : ')
+    },
+    survival: {
+        label: 'hud.nextObstacle',
+        value: (state, now) => I18n.t('hud.seconds', { seconds: Math.max(0, Math.ceil((state.nextObstacleAt - now) / 1000)) })
+    }
+};
+
 class HUDManager {
     constructor(state) {
         this.state = state;
         this.elements = {
+            container: document.getElementById('gameContainer'),
             score: document.getElementById('scoreDisplay'),
             best: document.getElementById('bestDisplay'),
             level: document.getElementById('levelDisplay'),
             speed: document.getElementById('speedDisplay'),
             combo: document.getElementById('comboDisplay'),
             comboBarFill: document.getElementById('comboBarFill'),
-            effects: document.getElementById('effectsDisplay')
+            effects: document.getElementById('effectsDisplay'),
+            botScores: document.getElementById('botScores'),
+            stage: document.getElementById('stageDisplay'),
+            modeLabel: document.getElementById('modeHudLabel'),
+            modeValue: document.getElementById('modeHudValue'),
+            autopilot: document.getElementById('autopilotBadge'),
+            playerPanels: [...document.querySelectorAll('#playerPanels .player-panel')]
         };
     }
 
     update() {
-        this.elements.score.textContent = this.state.score;
-        this.elements.best.textContent = this.state.best;
-        this.elements.level.textContent = this.state.level;
+        const now = this.state.getDisplayTime();
+        const isVersus = this.state.isVersus();
+        this.elements.container.classList.toggle('versus', isVersus);
+        this.elements.container.classList.toggle('campaign', !!this.state.stage);
+        this.elements.container.classList.toggle('no-combos', this.state.getMode().combos === false);
+
+        const modeHud = MODE_HUD[this.state.settings.mode];
+        this.elements.container.classList.toggle('mode-hud', !!modeHud);
+        if (modeHud) {
+            this.elements.modeLabel.textContent = I18n.t(modeHud.label);
+            this.elements.modeValue.textContent = modeHud.value(this.state, now);
+        }
+        if (this.state.stage) {
+            this.elements.stage.textContent = I18n.t('hud.stageProgress', {
+                eaten: this.state.foodsEaten,
+                target: this.state.stage.target
+            });
+        }
+
+        this.elements.best.textContent = I18n.number(this.state.best);
+        this.elements.level.textContent = I18n.number(this.state.level);
 
         const speedMultiplier = CONFIG.INITIAL_SPEED / this.state.getCurrentSpeed();
-        this.elements.speed.textContent = speedMultiplier.toFixed(1) + 'x';
+        this.elements.speed.textContent = I18n.t('hud.speedValue', {
+            speed: I18n.number(speedMultiplier, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+        });
 
-        this.elements.combo.textContent = this.state.combo.streak;
+        this.updateBotScores();
 
-        // Combo bar
-        const now = Date.now();
-        if (this.state.combo.streak > 0 && this.state.combo.expiresAt > now) {
-            const remaining = this.state.combo.expiresAt - now;
-            const percent = (remaining / CONFIG.COMBO_DURATION) * 100;
-            this.elements.comboBarFill.style.width = percent + '%';
-        } else {
-            this.elements.comboBarFill.style.width = '0%';
+        if (isVersus) {
+            this.state.getHumanPlayers().forEach((player, i) => {
+                this.updatePlayerPanel(this.elements.playerPanels[i], player, now);
+            });
+            return;
         }
 
+        const player = this.state.players[0];
+        this.elements.score.textContent = I18n.number(player ? player.score : 0);
+        this.elements.combo.textContent = I18n.number(player ? player.combo.streak : 0);
+        this.elements.comboBarFill.style.width = (player ? this.getComboPercent(player, now) : 0) + '%';
+
         // Effects
         this.updateEffects();
     }
 
-    updateEffects() {
-        const now = Date.now();
-        const effects = [];
+    updatePlayerPanel(panel, player, now) {
+        panel.classList.toggle('out', !player.alive);
+        panel.querySelector('.player-score').textContent = I18n.number(player.score);
+        panel.querySelector('.player-combo').textContent = I18n.number(player.combo.streak);
+        panel.querySelector('.combo-bar-fill').style.width = this.getComboPercent(player, now) + '%';
+        panel.querySelector('.player-effects').innerHTML = this.renderEffects(player, now);
+    }
 
-        if (this.state.effects.slowUntil > now) {
-            const remaining = Math.ceil((this.state.effects.slowUntil - now) / 1000);
-            effects.push({ type: 'slow', label: `🐌 느림 ${remaining}s` });
-        }
+    setAutopilot(active) {
+        this.elements.autopilot.classList.toggle('hidden', !active);
+    }
 
-        if (this.state.effects.ghostUntil > now) {
-            const remaining = Math.ceil((this.state.effects.ghostUntil - now) / 1000);
-            effects.push({ type: 'ghost', label: `👻 유령 ${remaining}s` });
-        }
+    updateBotScores() {
+        const bots = this.state.players.filter(player => player.bot);
+        this.elements.botScores.innerHTML = bots.map(bot => {
+            const color = Theme.colors.SNAKES[bot.id % Theme.colors.SNAKES.length].HEAD;
+            return `<span class="bot-score${bot.alive ? '' : ' out'}">` +
+                `<span class="bot-dot" style="background: ${color}"></span>` +
+                `${I18n.t('hud.bot', { bot: I18n.t(`bot.${bot.bot}`), score: bot.score })}</span>`;
+        }).join('');
+    }
 
-        if (this.state.effects.multUntil > now) {
-            const remaining = Math.ceil((this.state.effects.multUntil - now) / 1000);
-            effects.push({ type: 'multiplier', label: `✨ x2 ${remaining}s` });
+    getComboPercent(player, now) {
+        if (player.combo.streak > 0 && player.combo.expiresAt > now) {
+            const remaining = player.combo.expiresAt - now;
+            return (remaining / CONFIG.COMBO_DURATION) * 100;
         }
+        return 0;
+    }
 
-        this.elements.effects.innerHTML = effects.map(effect =>
-            `<div class="effect-badge effect-${effect.type}">${effect.label}</div>`
-        ).join('');
+    updateEffects() {
+        const player = this.state.players[0];
+        this.elements.effects.innerHTML = player
+            ? this.renderEffects(player, this.state.getDisplayTime())
+            : '';
+    }
+
+    // One badge per active effect, in registry order
+    renderEffects(player, now) {
+        return ITEM_TYPES.map(type => {
+            const effect = this.state.getEffect(player, type, now);
+            if (!effect || !ITEMS[type].label) return '';
+
+            const label = I18n.t(ITEMS[type].label, {
+                seconds: Math.ceil(Math.max(0, effect.until - now) / 1000),
+                count: effect.charges
+            });
+            return `<div class="effect-badge effect-${type}">${label}</div>`;
+        }).join('');
     }
 }
 
 // ============================================
-// Main Game Class
+// Level Editor
 // ============================================
-class Game {
-    constructor() {
-        this.settings = Storage.getSettings();
-        this.state = new GameState(this.settings);
+const EDITOR_UNREACHABLE_COLOR = 'rgba(239, 68, 68, 0.35)';
+const EDITOR_GATE_ORDER = ['>', 'v', '<', '^'];
+
+class LevelEditor {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.tool = 'wall';
+        this.painting = false;
+        this.map = [];
+        this.start = null;
+        this.unreachable = [];
+
+        this.renderItemChoices();
+        this.setupListeners();
+        this.resize(20, 15);
+    }
+
+    // One checkbox per registered item, all on for a new stage
+    renderItemChoices() {
+        document.getElementById('editorItems').innerHTML = ITEM_TYPES.map(type =>
+            `<label><input type="checkbox" name="editorItem" value="${type}" checked> ` +
+            `<span data-i18n="item.${type}">${I18n.t(`item.${type}`)}</span></label>`
+        ).join('');
+    }
+
+    setupListeners() {
+        document.getElementById('editorTools').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-tool]');
+            if (!button) return;
+            this.tool = button.dataset.tool;
+            document.querySelectorAll('#editorTools [data-tool]').forEach(btn => {
+                btn.classList.toggle('active', btn === button);
+            });
+        });
+        document.getElementById('editorClearBtn').addEventListener('click', () => {
+            this.map = [];
+            this.resize(this.cols, this.rows);
+        });
+
+        // Walls and the eraser paint while dragging; portals, gates and
+        // the start go down one click at a time
+        this.canvas.addEventListener('pointerdown', (e) => {
+            this.painting = true;
+            this.paintAt(e);
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.painting && (this.tool === 'wall' || this.tool === 'erase')) {
+                this.paintAt(e);
+            }
+        });
+        ['pointerup', 'pointerleave'].forEach(type => {
+            this.canvas.addEventListener(type, () => {
+                this.painting = false;
+            });
+        });
+
+        ['editorCols', 'editorRows'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.resize(this.readSize('editorCols'), this.readSize('editorRows'));
+            });
+        });
+        ['editorName', 'editorTarget', 'editorWallMode', 'editorStartDir'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.refresh());
+        });
+        document.querySelectorAll('[name="editorItem"]').forEach(box => {
+            box.addEventListener('change', () => this.refresh());
+        });
+    }
+
+    readSize(id) {
+        const input = document.getElementById(id);
+        const size = Math.min(Level.MAX_SIZE, Math.max(Level.MIN_SIZE, parseInt(input.value) || Level.MIN_SIZE));
+        input.value = size;
+        return size;
+    }
+
+    // Keeps whatever fits of the current layout
+    resize(cols, rows) {
+        const old = this.map;
+        this.cols = cols;
+        this.rows = rows;
+        this.map = Array.from({ length: rows }, (_, y) =>
+            Array.from({ length: cols }, (_, x) => (old[y] && old[y][x]) || Level.TILES.FLOOR)
+        );
+
+        if (!this.start || this.start.x >= cols || this.start.y >= rows) {
+            this.start = { x: Math.floor(cols / 2), y: Math.floor(rows / 2) };
+        }
+        this.map[this.start.y][this.start.x] = Level.TILES.FLOOR;
+
+        document.getElementById('editorCols').value = cols;
+        document.getElementById('editorRows').value = rows;
+
+        // The renderer only needs the board dimensions
+        this.renderer = new Renderer(this.canvas, { cols, rows }, () => this.getSpace());
+        this.refresh();
+    }
+
+    // As wide as the board column, at most half the viewport tall
+    getSpace() {
+        return {
+            width: this.canvas.parentElement.clientWidth,
+            height: window.innerHeight * 0.5
+        };
+    }
+
+    load(level) {
+        document.getElementById('editorName').value = I18n.localize(level.name);
+        document.getElementById('editorTarget').value = level.target;
+        document.getElementById('editorWallMode').value = level.wallMode;
+        document.getElementById('editorStartDir').value = level.start.dir;
+        document.querySelectorAll('[name="editorItem"]').forEach(box => {
+            box.checked = level.items.includes(box.value);
+        });
+
+        this.map = level.map.map(row => [...row]);
+        this.start = { x: level.start.x, y: level.start.y };
+        this.resize(level.cols, level.rows);
+    }
+
+    paintAt(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = Math.floor((e.clientX - rect.left) / rect.width * this.cols);
+        const y = Math.floor((e.clientY - rect.top) / rect.height * this.rows);
+        if (x < 0 || x >= this.cols || y < 0 || y >= this.rows) return;
+
+        const { TILES, PORTAL_TILES } = Level;
+        const isStart = Utils.coordsEqual({ x, y }, this.start);
+        const tile = this.map[y][x];
+
+        switch (this.tool) {
+            case 'wall':
+                if (!isStart) this.map[y][x] = TILES.WALL;
+                break;
+            case 'erase':
+                this.map[y][x] = TILES.FLOOR;
+                break;
+            case 'start':
+                this.map[y][x] = TILES.FLOOR;
+                this.start = { x, y };
+                break;
+            case 'portal':
+                if (!isStart && !PORTAL_TILES.includes(tile)) {
+                    const portal = this.nextPortalTile();
+                    if (portal) this.map[y][x] = portal;
+                }
+                break;
+            case 'gate':
+                // Clicking a gate again turns it clockwise
+                if (!isStart) {
+                    const turn = EDITOR_GATE_ORDER.indexOf(tile) + 1;
+                    this.map[y][x] = EDITOR_GATE_ORDER[turn % EDITOR_GATE_ORDER.length];
+                }
+                break;
+        }
+
+        this.refresh();
+    }
+
+    // Finishes a half-placed pair before opening a new one
+    nextPortalTile() {
+        const counts = {};
+        this.map.flat().forEach(tile => {
+            counts[tile] = (counts[tile] || 0) + 1;
+        });
+        const tiles = [...Level.PORTAL_TILES];
+        return tiles.find(tile => counts[tile] === 1) ||
+            tiles.find(tile => !counts[tile]) ||
+            null;
+    }
+
+    toLevel() {
+        const name = document.getElementById('editorName').value.trim();
+        return {
+            version: Level.VERSION,
+            name: name || undefined,
+            cols: this.cols,
+            rows: this.rows,
+            map: this.map.map(row => row.join('')),
+            start: { ...this.start, dir: document.getElementById('editorStartDir').value },
+            target: parseInt(document.getElementById('editorTarget').value),
+            items: [...document.querySelectorAll('[name="editorItem"]:checked')].map(box => box.value),
+            wallMode: document.getElementById('editorWallMode').value
+        };
+    }
+
+    // Returns the parsed level, or null after reporting what is wrong
+    validate() {
+        this.unreachable = [];
+
+        let level;
+        try {
+            level = Level.parse(this.toLevel());
+        } catch (err) {
+            this.setStatus(I18n.error(err), true);
+            return null;
+        }
+
+        this.unreachable = Level.getUnreachable(level);
+        if (this.unreachable.length > 0) {
+            this.setStatus(I18n.t('editor.unreachable', { count: this.unreachable.length }), true);
+            return null;
+        }
+
+        const floor = level.map.join('').split(Level.TILES.FLOOR).length - 1;
+        if (floor < 2) {
+            this.setStatus(I18n.t('editor.noFloor'), true);
+            return null;
+        }
+
+        const walls = Level.getWalls(level).length;
+        const portals = Level.getPortals(level).length;
+        const gates = Level.getGates(level).length;
+        this.setStatus(I18n.t('editor.summary', { cols: level.cols, rows: level.rows, walls, portals, gates }), false);
+        return level;
+    }
+
+    setStatus(message, isError) {
+        const status = document.getElementById('editorStatus');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    refresh() {
+        this.validate();
+        this.render();
+    }
+
+    // Resizes to the space the board has now; the editor screen has no
+    // layout while hidden
+    fit() {
+        this.renderer.resizeCanvas();
+        this.render();
+    }
+
+    render() {
+        const { TILES, PORTAL_TILES, GATE_TILES } = Level;
+        this.renderer.clear();
+        this.renderer.drawGrid();
+
+        this.map.forEach((row, y) => {
+            row.forEach((tile, x) => {
+                if (tile === TILES.WALL) {
+                    this.renderer.drawCell(x, y, Theme.colors.OBSTACLE);
+                } else if (PORTAL_TILES.includes(tile)) {
+                    this.renderer.drawPortal(x, y, PORTAL_TILES.indexOf(tile));
+                } else if (GATE_TILES[tile]) {
+                    this.renderer.drawGate(x, y, Replay.DIRS[GATE_TILES[tile]]);
+                }
+            });
+        });
+
+        this.unreachable.forEach(pos => {
+            this.renderer.drawCell(pos.x, pos.y, EDITOR_UNREACHABLE_COLOR);
+        });
+
+        this.renderer.drawCell(this.start.x, this.start.y, Theme.colors.SNAKES[0].HEAD);
+    }
+}
+
+// ============================================
+// Main Game Class
+// ============================================
+
+// Breathing room kept below the game container, in CSS px
+const VIEWPORT_MARGIN = 16;
+
+const REDUCED_MOTION_QUERY = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+// Food direction cue spacing, in ticks
+const FOOD_CUE_TICKS = 4;
+
+const FOCUSABLE = 'button, select, input, textarea, [href], [tabindex]:not([tabindex="-1"])';
+
+// Arrow keys step through a dialog's controls
+const FOCUS_STEPS = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 };
+
+class Game {
+    constructor() {
+        this.settings = Storage.getSettings();
         this.canvas = document.getElementById('gameCanvas');
-        this.renderer = new Renderer(this.canvas, this.state);
-        this.collision = new CollisionManager(this.state);
+        this.createSession(this.settings);
         this.input = new InputManager(this);
-        this.hud = new HUDManager(this.state);
+        this.audio = new AudioManager();
 
         this.setupUI();
+        this.setupDialogs();
+        this.setupVisibility();
         this.loadSettings();
         this.hud.update();
 
         this.animationId = null;
         this.lastFrameTime = 0;
+
+        this.lastReplay = null;
+        this.replay = null;
+        this.pendingScore = null;
+        this.binding = null;
+
+        // Play modes; resetModes() keeps at most one of them active
+        this.match = null;
+        this.campaign = null;
+        this.testStage = null;
+        this.daily = null;
+
+        this.campaignLevels = null;
+        this.editor = new LevelEditor(document.getElementById('editorCanvas'));
+
+        this.autopilot = false;
+        this.demo = false;
+        this.demoTimer = null;
+        this.startDemo();
+
+        window.addEventListener('resize', () => this.handleResize());
+        REDUCED_MOTION_QUERY.addEventListener('change', () => this.applyMotionSetting());
     }
 
     setupUI() {
-        // Start button
+        // Start buttons
         document.getElementById('startBtn').addEventListener('click', () => {
-            this.start();
+            this.startSolo();
+        });
+        document.getElementById('versusBtn').addEventListener('click', () => {
+            this.startVersus();
+        });
+        document.getElementById('campaignBtn').addEventListener('click', () => {
+            this.showCampaign();
+        });
+        document.getElementById('dailyBtn').addEventListener('click', () => {
+            this.showDaily();
+        });
+        document.getElementById('modeSelect').addEventListener('change', (e) => {
+            this.setMode(e.target.value);
+        });
+        document.getElementById('scoresBtn').addEventListener('click', () => {
+            this.showScores();
         });
 
         // Settings button
@@ -702,6 +1392,49 @@ class Game {
             this.saveSettings();
         });
 
+        // Controls
+        document.getElementById('controlsBtn').addEventListener('click', () => {
+            this.showControls();
+        });
+        document.getElementById('controlsTable').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.startBinding({ action: button.dataset.action, slot: parseInt(button.dataset.slot) });
+            }
+        });
+        document.getElementById('versusControlsTable').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-dir]');
+            if (button) {
+                this.startBinding({ dir: button.dataset.dir, player: parseInt(button.dataset.player) });
+            }
+        });
+        Object.keys(CONTROL_PRESETS).forEach(preset => {
+            document.querySelector(`[data-preset="${preset}"]`).addEventListener('click', () => {
+                this.stopBinding();
+                this.saveControls(structuredClone(CONTROL_PRESETS[preset]));
+                this.renderControls();
+            });
+        });
+        document.getElementById('controlsBackBtn').addEventListener('click', () => {
+            this.stopBinding();
+            this.showSettings();
+        });
+
+        // Profile
+        document.getElementById('exportProfileBtn').addEventListener('click', () => {
+            this.download(`snake-profile-${Daily.getKey()}.json`, Storage.exportProfile());
+        });
+        document.getElementById('importProfileBtn').addEventListener('click', () => {
+            document.getElementById('profileFileInput').click();
+        });
+        document.getElementById('profileFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importProfile(file);
+            }
+        });
+
         // Resume
         document.getElementById('resumeBtn').addEventListener('click', () => {
             this.resume();
@@ -714,6 +1447,9 @@ class Game {
         document.getElementById('restartFromPauseBtn').addEventListener('click', () => {
             this.restart();
         });
+        document.getElementById('endRunBtn').addEventListener('click', () => {
+            this.endRun();
+        });
 
         // Menu buttons
         document.getElementById('menuBtn').addEventListener('click', () => {
@@ -722,184 +1458,1370 @@ class Game {
         document.getElementById('menuFromPauseBtn').addEventListener('click', () => {
             this.showMenu();
         });
+
+        // Campaign
+        document.getElementById('stageList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-stage]');
+            if (button && !button.disabled) {
+                this.startStage(parseInt(button.dataset.stage));
+            }
+        });
+        document.getElementById('campaignBackBtn').addEventListener('click', () => {
+            this.showMenu();
+        });
+        document.getElementById('nextStageBtn').addEventListener('click', () => {
+            this.startStage(this.campaign.index + 1);
+        });
+        document.getElementById('retryStageBtn').addEventListener('click', () => {
+            this.restart();
+        });
+        document.getElementById('stageListBtn').addEventListener('click', () => {
+            this.showCampaign();
+        });
+
+        // High scores
+        document.getElementById('nameEntry').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveScoreName();
+        });
+        Object.keys(SCORE_FILTERS).forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderScores());
+        });
+        document.getElementById('clearScoresBtn').addEventListener('click', () => {
+            this.clearScores();
+        });
+        document.getElementById('scoresBackBtn').addEventListener('click', () => {
+            this.showMenu();
+        });
+
+        // Daily challenge
+        document.getElementById('dailyStartBtn').addEventListener('click', () => {
+            this.startDaily();
+        });
+        document.getElementById('dailyDay').addEventListener('change', (e) => {
+            this.renderDailyBoard(e.target.value);
+        });
+        document.getElementById('dailyBackBtn').addEventListener('click', () => {
+            this.showMenu();
+        });
+
+        // Level editor
+        document.getElementById('editorBtn').addEventListener('click', () => {
+            this.openEditor();
+        });
+        document.getElementById('editorPlayBtn').addEventListener('click', () => {
+            this.playTestStage();
+        });
+        document.getElementById('editorExportBtn').addEventListener('click', () => {
+            this.exportStage();
+        });
+        document.getElementById('editorImportBtn').addEventListener('click', () => {
+            document.getElementById('editorFileInput').click();
+        });
+        document.getElementById('editorFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importStage(file);
+            }
+        });
+        document.getElementById('editorBackBtn').addEventListener('click', () => {
+            this.showMenu();
+        });
+        document.querySelectorAll('.editor-return').forEach(button => {
+            button.addEventListener('click', () => this.openEditor());
+        });
+
+        // Replays
+        document.getElementById('watchReplayBtn').addEventListener('click', () => {
+            if (this.lastReplay) {
+                this.startReplay(this.lastReplay, 'gameOverScreen');
+            }
+        });
+        document.getElementById('exportReplayBtn').addEventListener('click', () => {
+            this.exportReplay();
+        });
+        document.getElementById('importReplayBtn').addEventListener('click', () => {
+            document.getElementById('replayFileInput').click();
+        });
+        document.getElementById('replayFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importReplay(file);
+            }
+        });
+        document.getElementById('replayPauseBtn').addEventListener('click', () => {
+            this.toggleReplayPause();
+        });
+        document.getElementById('replayStepBtn').addEventListener('click', () => {
+            this.stepReplay();
+        });
+        document.getElementById('replaySpeed').addEventListener('change', (e) => {
+            if (this.replay) {
+                this.replay.speed = parseFloat(e.target.value);
+            }
+        });
+        document.getElementById('replayExitBtn').addEventListener('click', () => {
+            this.exitReplay();
+        });
+    }
+
+    // Overlay screens are modal dialogs: Tab stays inside the open one and
+    // the arrow keys move between its controls
+    setupDialogs() {
+        document.addEventListener('keydown', (e) => {
+            // Game keys and key binding have already claimed theirs
+            if (e.defaultPrevented) return;
+
+            const screen = document.querySelector('.screen:not(.hidden)');
+            if (!screen) return;
+
+            const active = document.activeElement;
+            const isField = active && active.matches('select, input, textarea');
+            let step = 0;
+            if (e.key === 'Tab') {
+                step = e.shiftKey ? -1 : 1;
+            } else if (FOCUS_STEPS[e.key] && !isField) {
+                step = FOCUS_STEPS[e.key];
+            }
+            if (!step) return;
+
+            const controls = this.getFocusable(screen);
+            if (controls.length === 0) return;
+
+            e.preventDefault();
+            const index = controls.indexOf(active);
+            const next = index === -1
+                ? (step > 0 ? 0 : controls.length - 1)
+                : (index + step + controls.length) % controls.length;
+            controls[next].focus();
+        });
+    }
+
+    getFocusable(screen) {
+        return [...screen.querySelectorAll(FOCUSABLE)].filter(el =>
+            !el.disabled && !el.hidden && !el.closest('.hidden')
+        );
+    }
+
+    // Reads `message` out through the live region. Clearing first makes a
+    // repeated message count as new.
+    announce(message) {
+        const announcer = document.getElementById('announcer');
+        announcer.textContent = '';
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            announcer.textContent = message;
+        }, 50);
+    }
+
+    announceEvents(events) {
+        const messages = [];
+        events.forEach(event => {
+            switch (event.type) {
+                case 'levelUp':
+                    messages.push(I18n.t('announce.level', { level: event.level }));
+                    break;
+                case 'item':
+                    messages.push(I18n.t('announce.item', { item: I18n.t(`item.${event.itemType}`) }));
+                    break;
+                case 'shieldBlock':
+                    messages.push(I18n.t('announce.shield'));
+                    break;
+                case 'crash':
+                    messages.push(I18n.t('announce.crash', { points: -event.points }));
+                    break;
+                case 'elementSpawned':
+                    messages.push(I18n.t(`announce.${event.element}`));
+                    break;
+                case 'food':
+                    if (event.foodType === 'poison') {
+                        messages.push(I18n.t('announce.poison'));
+                    }
+                    if (event.points > 0 && event.streak >= 5 && event.streak % 5 === 0) {
+                        messages.push(I18n.t('announce.combo', { count: event.streak }));
+                    }
+                    break;
+            }
+        });
+        if (messages.length > 0) {
+            this.announce(messages.join('. '));
+        }
+    }
+
+    // A soft beep panned toward the nearest food worth points, higher
+    // when it is above the head
+    cueFood() {
+        const head = this.state.players[0].snake[0];
+        if (!head) return;
+
+        const distance = food => Math.abs(food.pos.x - head.x) + Math.abs(food.pos.y - head.y);
+        const food = this.state.foods
+            .filter(food => FOODS[food.type].value > 0)
+            .reduce((near, food) => (!near || distance(food) < distance(near) ? food : near), null);
+        if (!food) return;
+
+        this.audio.cueDirection(
+            (food.pos.x - head.x) / (this.state.cols / 2),
+            (head.y - food.pos.y) / (this.state.rows / 2)
+        );
+    }
+
+    setupVisibility() {
+        // requestAnimationFrame stops in hidden tabs; pause so the board is
+        // never advanced while the player cannot see it
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) return;
+
+            if (this.state.status === 'playing') {
+                this.pause();
+            } else if (this.replay && !this.replay.paused) {
+                this.toggleReplayPause();
+            }
+        });
     }
 
     loadSettings() {
         document.getElementById('boardSize').value = this.settings.boardSize;
         document.getElementById('wallMode').value = this.settings.wallMode;
         document.getElementById('difficultyCurve').value = this.settings.difficultyCurve;
+        document.getElementById('foodCount').value = this.settings.foodCount;
+        document.getElementById('versusRounds').value = this.settings.versusRounds;
+        document.getElementById('botCount').value = this.settings.botCount;
+        document.getElementById('botDifficulty').value = this.settings.botDifficulty;
+        document.getElementById('touchControls').value = this.settings.touchControls;
+        document.getElementById('reducedMotion').value = this.settings.reducedMotion;
+        document.getElementById('masterVolume').value = this.settings.masterVolume;
+        document.getElementById('sfxVolume').value = this.settings.sfxVolume;
+        document.getElementById('musicVolume').value = this.settings.musicVolume;
+        document.getElementById('muted').checked = this.settings.muted;
+        document.getElementById('music').checked = this.settings.music;
+        document.getElementById('foodCue').checked = this.settings.foodCue;
+        document.getElementById('theme').value = this.settings.theme;
+        document.getElementById('language').value = this.settings.language;
+        Theme.apply(this.settings.theme);
+        this.applyLanguage();
+        this.updateTouchPad();
+        this.applyMotionSetting();
+        this.audio.configure(this.settings);
+    }
+
+    updateTouchPad() {
+        document.getElementById('touchPad').classList.toggle('hidden', this.settings.touchControls !== 'dpad');
+    }
+
+    // Re-renders the static text, then everything built from messages
+    applyLanguage() {
+        I18n.apply(this.settings.language);
+        this.renderModePicker();
+        this.renderScoreFilters();
+        this.updateControlHints();
+        this.hud.update();
+    }
+
+    renderScoreFilters() {
+        Object.entries(SCORE_FILTERS).forEach(([id, rule]) => {
+            const select = document.getElementById(id);
+            const value = select.value;
+            select.innerHTML = RULE_VALUES[rule]
+                .map(option => `<option value="${option}">${I18n.t(`rule.${rule}.${option}`)}</option>`)
+                .join('');
+            select.value = value || this.settings[rule];
+        });
+    }
+
+    // Key names shown around the UI follow the current bindings
+    updateControlHints() {
+        document.querySelectorAll('[data-key-hint]').forEach(el => {
+            el.textContent = formatKey(this.settings.controls[el.dataset.keyHint][0]);
+        });
+        // A versus key set reads like WASD: up, left, down, right
+        document.querySelectorAll('[data-versus-keys]').forEach(el => {
+            const keys = this.settings.versusControls[el.dataset.versusKeys];
+            el.textContent = ['up', 'left', 'down', 'right'].map(dir => formatKey(keys[dir])).join('');
+        });
     }
 
     saveSettings() {
         this.settings = {
             boardSize: document.getElementById('boardSize').value,
             wallMode: document.getElementById('wallMode').value,
-            difficultyCurve: document.getElementById('difficultyCurve').value
+            difficultyCurve: document.getElementById('difficultyCurve').value,
+            foodCount: parseInt(document.getElementById('foodCount').value),
+            mode: this.settings.mode,
+            versusRounds: parseInt(document.getElementById('versusRounds').value),
+            botCount: parseInt(document.getElementById('botCount').value),
+            botDifficulty: document.getElementById('botDifficulty').value,
+            touchControls: document.getElementById('touchControls').value,
+            reducedMotion: document.getElementById('reducedMotion').value,
+            masterVolume: parseInt(document.getElementById('masterVolume').value),
+            sfxVolume: parseInt(document.getElementById('sfxVolume').value),
+            musicVolume: parseInt(document.getElementById('musicVolume').value),
+            muted: document.getElementById('muted').checked,
+            music: document.getElementById('music').checked,
+            foodCue: document.getElementById('foodCue').checked,
+            theme: document.getElementById('theme').value,
+            language: document.getElementById('language').value,
+            controls: this.settings.controls,
+            versusControls: this.settings.versusControls
         };
         Storage.saveSettings(this.settings);
+        Theme.apply(this.settings.theme);
+        this.applyLanguage();
+        this.updateTouchPad();
+        this.applyMotionSetting();
+        this.audio.configure(this.settings);
 
         // Restart game with new settings
-        this.state = new GameState(this.settings);
-        this.renderer = new Renderer(this.canvas, this.state);
-        this.collision = new CollisionManager(this.state);
-        this.hud = new HUDManager(this.state);
+        this.createSession(this.getSessionSettings());
 
         this.showMenu();
     }
 
-    showScreen(screenId) {
-        ['menuScreen', 'pauseScreen', 'gameOverScreen', 'settingsScreen'].forEach(id => {
+    getStage() {
+        return this.campaign ? this.campaignLevels[this.campaign.index] : this.testStage;
+    }
+
+    getSessionSettings() {
+        if (this.daily) {
+            return { ...this.daily.rules, players: 1, bots: [] };
+        }
+
+        const stage = this.getStage();
+        if (stage) {
+            return {
+                boardSize: this.settings.boardSize,
+                wallMode: stage.wallMode,
+                difficultyCurve: this.settings.difficultyCurve,
+                players: 1,
+                bots: [],
+                stage
+            };
+        }
+
+        return {
+            boardSize: this.settings.boardSize,
+            wallMode: this.settings.wallMode,
+            difficultyCurve: this.settings.difficultyCurve,
+            foodCount: this.settings.foodCount,
+            mode: this.settings.mode,
+            players: this.match ? 2 : 1,
+            bots: Array(this.settings.botCount).fill(this.settings.botDifficulty)
+        };
+    }
+
+    createSession(settings) {
+        this.state = new GameState(settings);
+        if (settings.stage) {
+            this.state.best = this.campaign
+                ? Storage.getCampaignProgress().best[settings.stage.id] || 0
+                : 0;
+        } else if (this.daily) {
+            const board = Storage.getDailyBoards()[this.daily.key];
+            this.state.best = board ? board.scores[0]?.score || 0 : 0;
+        } else {
+            this.state.best = Storage.getBestScore(Storage.getScoreKey(settings));
+        }
+        // The HUD goes first: its layout decides how much room the board gets
+        this.hud = new HUDManager(this.state);
+        this.hud.update();
+        this.renderer = new Renderer(this.canvas, this.state, () => this.getBoardSpace());
+        this.renderer.effects.reduced = this.isReducedMotion();
+    }
+
+    // The setting wins; 'system' follows prefers-reduced-motion
+    isReducedMotion() {
+        const setting = this.settings.reducedMotion;
+        if (setting === 'system') {
+            return REDUCED_MOTION_QUERY.matches;
+        }
+        return setting === 'on';
+    }
+
+    applyMotionSetting() {
+        const reduced = this.isReducedMotion();
+        document.body.classList.toggle('reduced-motion', reduced);
+        this.renderer.effects.reduced = reduced;
+    }
+
+    // The viewport minus the container's padding, the HUD and controls
+    // around the canvas, and the canvas border
+    getBoardSpace() {
+        const container = document.getElementById('gameContainer');
+        const style = getComputedStyle(container);
+        const border = this.canvas.offsetWidth - this.canvas.clientWidth;
+        const padding = parseFloat(style.paddingLeft) + parseFloat(style.paddingRight);
+        const maxWidth = Math.min(parseFloat(style.maxWidth) || Infinity, document.documentElement.clientWidth);
+        const around = container.offsetHeight - this.canvas.offsetHeight;
+
+        return {
+            width: maxWidth - padding - border,
+            height: window.innerHeight - around - border - VIEWPORT_MARGIN
+        };
+    }
+
+    handleResize() {
+        this.renderer.resizeCanvas();
+        this.renderer.render();
+        if (!document.getElementById('editorScreen').classList.contains('hidden')) {
+            this.editor.fit();
+        }
+    }
+
+    // Shows one screen (or none) and moves focus into it: to `focus` if
+    // given, else its first control. With no screen the board takes focus.
+    showScreen(screenId, focus = null) {
+        [
+            'menuScreen', 'pauseScreen', 'gameOverScreen', 'settingsScreen',
+            'campaignScreen', 'stageClearScreen', 'editorScreen', 'dailyScreen',
+            'scoresScreen', 'controlsScreen'
+        ].forEach(id => {
             document.getElementById(id).classList.add('hidden');
         });
         if (screenId) {
-            document.getElementById(screenId).classList.remove('hidden');
+            const screen = document.getElementById(screenId);
+            screen.classList.remove('hidden');
+            (focus || this.getFocusable(screen)[0])?.focus();
+        } else {
+            this.canvas.focus();
         }
     }
 
+    resetModes() {
+        this.match = null;
+        this.campaign = null;
+        this.testStage = null;
+        this.daily = null;
+    }
+
     showMenu() {
+        this.resetModes();
         this.state.status = 'menu';
         this.showScreen('menuScreen');
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
         }
+        this.startDemo();
+    }
+
+    startDemo() {
+        // Attract mode: the autopilot plays a solo game behind the menu
+        this.stopDemo();
+        this.demo = true;
+
+        this.createSession({ ...this.getSessionSettings(), players: 1, bots: [] });
+        this.state.reset();
+        this.state.status = 'demo';
+        this.state.players[0].assisted = true;
+
+        this.lastFrameTime = performance.now();
+        this.gameLoop(this.lastFrameTime);
+    }
+
+    stopDemo() {
+        this.demo = false;
+        clearTimeout(this.demoTimer);
+        this.demoTimer = null;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+        }
+    }
+
+    toggleAutopilot() {
+        if (this.state.status !== 'playing' || this.state.isVersus()) return;
+
+        this.autopilot = !this.autopilot;
+        // Any help at all keeps the run off the record
+        this.state.players[0].assisted = true;
+        this.hud.setAutopilot(this.autopilot);
+    }
+
+    steerAutopilot() {
+        const player = this.state.players[0];
+        if (!player.alive || player.dirQueue.length > 0) return;
+
+        const dir = chooseDirection(this.state, player, 'hard');
+        if (dir) {
+            this.input.queueDirection(dir);
+        }
     }
 
     showSettings() {
+        const note = document.getElementById('storageNote');
+        const persistent = Storage.isPersistent();
+        note.dataset.i18n = persistent ? 'settings.storageRecovered' : 'settings.storageNote';
+        note.textContent = I18n.t(note.dataset.i18n);
+        note.classList.toggle('hidden', persistent && !Storage.recovered);
         this.showScreen('settingsScreen');
     }
 
-    start() {
-        this.state.reset();
+    showControls() {
+        this.renderControls();
+        this.setControlsMessage('');
+        this.showScreen('controlsScreen');
+    }
+
+    renderControls() {
+        const { controls, versusControls } = this.settings;
+        const binding = this.input.capture ? this.binding : null;
+
+        // One row per action; `slots` maps each button's data to its key
+        const fill = (body, actions, slots) => {
+            body.innerHTML = '';
+            actions.forEach(id => {
+                const row = document.createElement('tr');
+                const name = document.createElement('th');
+                name.textContent = I18n.t(`action.${id}`);
+                row.appendChild(name);
+
+                slots(id).forEach(({ data, code }) => {
+                    const cell = document.createElement('td');
+                    const button = document.createElement('button');
+                    const capturing = binding && Object.keys(data).every(key => binding[key] === data[key]);
+                    button.className = `key-btn${capturing ? ' capturing' : ''}`;
+                    Object.assign(button.dataset, data);
+                    button.textContent = capturing ? I18n.t('controls.waiting') : formatKey(code);
+                    cell.appendChild(button);
+                    row.appendChild(cell);
+                });
+
+                body.appendChild(row);
+            });
+        };
+
+        fill(document.getElementById('controlsTable'), CONTROL_ACTIONS.map(({ id }) => id), id =>
+            [0, 1].map(slot => ({ data: { action: id, slot }, code: controls[id][slot] }))
+        );
+        fill(document.getElementById('versusControlsTable'), Object.keys(DIRECTION_ACTIONS), dir =>
+            versusControls.map((keys, player) => ({ data: { dir, player }, code: keys[dir] }))
+        );
+    }
+
+    // `binding` is { action, slot } for the solo keys, { dir, player } for
+    // a versus key
+    startBinding(binding) {
+        // Clicking the waiting slot again cancels
+        if (this.input.capture && Object.keys(binding).every(key => this.binding[key] === binding[key])) {
+            this.stopBinding();
+            return;
+        }
+
+        this.binding = binding;
+        this.input.capture = (e) => (binding.dir ? this.bindVersusKey(e) : this.bindKey(e));
+        this.setControlsMessage('');
+        this.renderControls();
+    }
+
+    stopBinding() {
+        this.binding = null;
+        this.input.capture = null;
+        this.renderControls();
+    }
+
+    bindKey(e) {
+        const { action, slot } = this.binding;
+        const keys = [...this.settings.controls[action]];
+        let message = '';
+
+        if (e.code === 'Delete' || e.code === 'Backspace') {
+            if (slot === 0) {
+                message = I18n.t('controls.firstKeyRequired');
+            } else {
+                keys.splice(1);
+            }
+        } else {
+            const conflict = findConflict(this.settings.controls, e.code, action, slot);
+            // Pause is read before versus moves, so it may not share a versus key
+            const versusOwner = action === 'pause' && getVersusMove(this.settings.versusControls, e.code);
+            if (conflict || versusOwner) {
+                message = I18n.t('controls.conflict', {
+                    key: formatKey(e.code),
+                    action: conflict ? I18n.t(`action.${conflict}`) : this.getVersusKeyName(versusOwner)
+                });
+            } else {
+                keys[Math.min(slot, keys.length)] = e.code;
+            }
+        }
+
+        if (!message) {
+            this.saveControls({ ...this.settings.controls, [action]: keys });
+        }
+        this.setControlsMessage(message);
+        this.stopBinding();
+    }
+
+    bindVersusKey(e) {
+        const { dir, player } = this.binding;
+        let message = '';
+
+        if (e.code === 'Delete' || e.code === 'Backspace') {
+            message = I18n.t('controls.versusKeyRequired');
+        } else {
+            const owner = findVersusConflict(this.settings.versusControls, e.code, player, dir);
+            const isPause = getAction(this.settings.controls, e.code) === 'pause';
+            if (owner || isPause) {
+                message = I18n.t('controls.conflict', {
+                    key: formatKey(e.code),
+                    action: owner ? this.getVersusKeyName(owner) : I18n.t('action.pause')
+                });
+            } else {
+                const versusControls = structuredClone(this.settings.versusControls);
+                versusControls[player][dir] = e.code;
+                this.saveControls(this.settings.controls, versusControls);
+            }
+        }
+
+        this.setControlsMessage(message);
+        this.stopBinding();
+    }
+
+    getVersusKeyName({ dir, player }) {
+        return I18n.t('controls.versusKey', { player: player + 1, action: I18n.t(`action.${dir}`) });
+    }
+
+    saveControls(controls, versusControls = this.settings.versusControls) {
+        this.settings.controls = controls;
+        this.settings.versusControls = versusControls;
+        Storage.saveSettings(this.settings);
+        this.updateControlHints();
+    }
+
+    setControlsMessage(message) {
+        document.getElementById('controlsMessage').textContent = message;
+    }
+
+    importProfile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                Storage.importProfile(reader.result);
+            } catch (err) {
+                alert(I18n.t('profile.loadFailed', { error: I18n.error(err) }));
+                return;
+            }
+            this.settings = Storage.getSettings();
+            this.loadSettings();
+            alert(I18n.t('profile.loaded'));
+            this.showMenu();
+        };
+        reader.readAsText(file);
+    }
+
+    startSolo() {
+        this.resetModes();
+        this.start();
+    }
+
+    startVersus() {
+        this.resetModes();
+        this.match = {
+            bestOf: this.settings.versusRounds,
+            round: 0,
+            wins: [0, 0],
+            draws: 0
+        };
+        this.start();
+    }
+
+    loadCampaign() {
+        if (!this.campaignLevels) {
+            this.campaignLevels = CAMPAIGN.levels.map(level => Level.parse(level));
+        }
+        return this.campaignLevels;
+    }
+
+    showCampaign() {
+        let levels;
+        try {
+            levels = this.loadCampaign();
+        } catch (err) {
+            alert(I18n.t('campaign.loadFailed', { error: I18n.error(err) }));
+            return;
+        }
+
+        const progress = Storage.getCampaignProgress();
+        document.getElementById('stageList').innerHTML = levels.map((stage, i) => {
+            const locked = i >= progress.unlocked;
+            const best = progress.best[stage.id];
+            return `<button class="stage-btn" data-stage="${i}"${locked ? ' disabled' : ''}>` +
+                `<span class="stage-name">${locked ? '🔒' : i + 1}. ${getStageName(stage)}</span>` +
+                `<span class="stage-best">${best
+                    ? I18n.t('campaign.best', { score: best })
+                    : I18n.t('campaign.target', { target: stage.target })}</span>` +
+                '</button>';
+        }).join('');
+
+        this.showScreen('campaignScreen');
+    }
+
+    startStage(index) {
+        this.resetModes();
+        this.campaign = { index };
+        this.start();
+    }
+
+    showDaily() {
+        const today = Daily.getKey();
+        const days = Object.keys(Storage.getDailyBoards()).filter(day => day !== today).sort().reverse();
+        document.getElementById('dailyDay').innerHTML = [today, ...days].map(day =>
+            `<option value="${day}">${day === today ? I18n.t('daily.today', { day }) : day}</option>`
+        ).join('');
+
+        this.renderDailyBoard(today);
+        this.showScreen('dailyScreen');
+    }
+
+    renderDailyBoard(day) {
+        const rules = Daily.getRules(day);
+        document.getElementById('dailyRules').textContent = Object.keys(RULE_VALUES)
+            .map(rule => I18n.t(`rule.${rule}.${rules[rule]}`))
+            .join(' · ');
+
+        const board = Storage.getDailyBoards()[day] || { attempts: 0, scores: [] };
+        document.getElementById('dailyScores').innerHTML = board.scores.length > 0
+            ? board.scores.map((entry, i) =>
+                `<tr><td>${I18n.number(i + 1)}</td><td>${I18n.number(entry.score)}</td>` +
+                `<td>${I18n.number(entry.length)}</td>` +
+                `<td>${Utils.formatDuration(entry.duration)}</td></tr>`
+            ).join('')
+            : `<tr><td colspan="4">${I18n.t('common.noScores')}</td></tr>`;
+        document.getElementById('dailyAttempts').textContent = I18n.t('daily.attempts', { count: board.attempts });
+    }
+
+    startDaily() {
+        this.resetModes();
+        this.daily = Daily.create();
+        this.start();
+    }
+
+    recordDaily() {
+        const matchStatus = document.getElementById('matchStatus');
+        const player = this.state.players[0];
+        if (!this.state.countsForRecords(player)) {
+            matchStatus.classList.add('hidden');
+            return;
+        }
+
+        const { rank, attempts } = Storage.addDailyScore(this.daily.key, {
+            score: player.score,
+            length: player.snake.length,
+            duration: this.state.time,
+            playedAt: Date.now()
+        });
+        matchStatus.textContent = rank > 0
+            ? I18n.t('daily.ranked', { rank, attempts })
+            : I18n.t('daily.unranked', { attempts });
+        matchStatus.classList.remove('hidden');
+    }
+
+    openEditor() {
+        this.stopDemo();
+        this.resetModes();
+        this.state.status = 'menu';
+        this.showScreen('editorScreen');
+        this.editor.fit();
+    }
+
+    playTestStage() {
+        const stage = this.editor.validate();
+        if (!stage) return;
+
+        this.resetModes();
+        this.testStage = stage;
+        this.start();
+    }
+
+    exportStage() {
+        const stage = this.editor.validate();
+        if (stage) {
+            this.download(`snake-stage-${stage.id}.json`, Level.serialize(stage));
+        }
+    }
+
+    importStage(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let stage;
+            try {
+                stage = Level.parse(reader.result);
+            } catch (err) {
+                alert(I18n.t('editor.loadFailed', { error: I18n.error(err) }));
+                return;
+            }
+            this.editor.load(stage);
+        };
+        reader.readAsText(file);
+    }
+
+    stageCleared() {
+        if (this.replay) {
+            this.finishReplay();
+            return;
+        }
+
+        const stage = this.state.stage;
+        const player = this.state.players[0];
+        let isBest = false;
+        let isLast = false;
+
+        // Editor test plays keep no progress
+        if (this.campaign) {
+            const progress = Storage.getCampaignProgress();
+            isBest = !player.assisted && player.score > (progress.best[stage.id] || 0);
+
+            // Autopilot runs neither unlock stages nor set records
+            if (!player.assisted) {
+                if (isBest) {
+                    progress.best[stage.id] = player.score;
+                }
+                progress.unlocked = Math.min(
+                    Math.max(progress.unlocked, this.campaign.index + 2),
+                    this.campaignLevels.length
+                );
+                Storage.saveCampaignProgress(progress);
+            }
+            isLast = this.campaign.index === this.campaignLevels.length - 1;
+        }
+
+        document.getElementById('stageClearName').textContent = this.campaign
+            ? `${this.campaign.index + 1}. ${getStageName(stage)}`
+            : getStageName(stage);
+        document.getElementById('stageClearScore').textContent = I18n.number(player.score);
+        document.getElementById('stageBest').classList.toggle('hidden', !isBest);
+        document.getElementById('campaignComplete').classList.toggle('hidden', !isLast);
+        document.getElementById('nextStageBtn').classList.toggle('hidden', !this.campaign || isLast);
+        this.showScreen('stageClearScreen');
+    }
+
+    isMatchOver() {
+        return this.match.wins.some(wins => wins > this.match.bestOf / 2);
+    }
+
+    start(seed = this.getRequestedSeed()) {
+        this.stopDemo();
+        if (this.match) {
+            if (this.isMatchOver()) {
+                this.match = { ...this.match, round: 0, wins: [0, 0], draws: 0 };
+            }
+            this.match.round++;
+        }
+
+        this.createSession(this.getSessionSettings());
+        this.state.reset(seed ?? undefined);
         this.state.status = 'playing';
+        document.querySelectorAll('.editor-return').forEach(button => {
+            button.classList.toggle('hidden', !this.testStage);
+        });
+        document.getElementById('stageListBtn').classList.toggle('hidden', !this.campaign);
+        this.autopilot = false;
+        this.hud.setAutopilot(false);
         this.showScreen(null);
         this.hud.update();
+        this.audio.unlock();
+        this.playMusic();
         this.lastFrameTime = performance.now();
         this.gameLoop(this.lastFrameTime);
     }
 
+    togglePause() {
+        if (this.state.status === 'playing') {
+            this.pause();
+        } else {
+            this.resume();
+        }
+    }
+
     pause() {
         if (this.state.status === 'playing') {
             this.state.status = 'paused';
+            // Zen never ends on its own, so its run is finished from here
+            document.getElementById('endRunBtn').classList.toggle('hidden', !this.state.getMode().crashPenalty);
+            document.getElementById('restartFromPauseBtn').classList.toggle('hidden', !!this.match);
             this.showScreen('pauseScreen');
+            this.audio.suspend();
         }
     }
 
+    endRun() {
+        if (this.state.status !== 'paused') return;
+
+        const events = [finishGame(this.state, 'ended')];
+        this.renderer.effects.trigger(events);
+        this.audio.resume();
+        this.audio.playEvents(events);
+        this.gameOver();
+    }
+
+    // The menu's mode picker; free play and versus use the chosen mode
+    setMode(mode) {
+        this.settings.mode = mode;
+        Storage.saveSettings(this.settings);
+        this.renderModePicker();
+        this.startDemo();
+    }
+
+    renderModePicker() {
+        const select = document.getElementById('modeSelect');
+        select.innerHTML = MODE_IDS
+            .map(mode => `<option value="${mode}">${I18n.t(`rule.mode.${mode}`)}</option>`)
+            .join('');
+        select.value = this.settings.mode;
+        document.getElementById('modeDescription').textContent = I18n.t(`mode.${this.settings.mode}`);
+    }
+
     resume() {
         if (this.state.status === 'paused') {
             this.state.status = 'playing';
             this.showScreen(null);
+            this.audio.resume();
+            this.playMusic();
             this.lastFrameTime = performance.now();
             this.gameLoop(this.lastFrameTime);
         }
     }
 
+    // The loop follows the tick length and stops once play does
+    playMusic() {
+        this.audio.startMusic(() => this.state.status === 'playing' ? this.state.getCurrentSpeed() : null);
+    }
+
     restart() {
+        // Restarting a versus round in play would skip it unscored
+        if (this.match && ['playing', 'paused'].includes(this.state.status)) return;
         this.start();
     }
 
+    getRequestedSeed() {
+        if (this.daily) {
+            return this.daily.seed;
+        }
+
+        // ?seed=<n> pins the run so a reported game can be played again
+        const params = new URLSearchParams(window.location.search);
+        return Utils.parseSeed(params.get('seed'));
+    }
+
     gameOver() {
+        if (this.replay) {
+            this.finishReplay();
+            return;
+        }
+
+        if (this.demo) {
+            // Let the crash show for a moment, then play another demo round
+            this.demoTimer = setTimeout(() => this.startDemo(), 1500);
+            return;
+        }
+
         this.state.status = 'gameover';
 
-        document.getElementById('finalScore').textContent = this.state.score;
+        // A name form left open by an earlier run must not carry over
+        this.pendingScore = null;
+        document.getElementById('nameEntry').classList.add('hidden');
 
-        const newRecord = document.getElementById('newRecord');
-        if (this.state.score === this.state.best && this.state.score > 0) {
-            newRecord.classList.remove('hidden');
+        document.getElementById('finalSeed').textContent = this.state.seed;
+        this.lastReplay = Replay.create(this.state);
+
+        if (this.match) {
+            this.showVersusResult();
         } else {
-            newRecord.classList.add('hidden');
+            const score = this.state.players[0].score;
+            const titles = { timeUp: 'gameOver.timeUp', ended: 'gameOver.ended' };
+            document.getElementById('gameOverTitle').textContent = I18n.t(titles[this.state.endReason] || 'gameOver.title');
+            document.getElementById('finalScore').textContent = I18n.number(score);
+            document.getElementById('assistNote').classList.toggle('hidden', !this.state.players[0].assisted);
+            if (this.daily) {
+                this.recordDaily();
+            } else {
+                this.showBotResult();
+            }
+            this.recordHighScore();
+            document.getElementById('restartBtn').textContent = I18n.t('common.retry');
+
+            // Stage records are only kept for cleared stages
+            const newRecord = document.getElementById('newRecord');
+            if (!this.state.stage && score === this.state.best && score > 0) {
+                newRecord.classList.remove('hidden');
+            } else {
+                newRecord.classList.add('hidden');
+            }
         }
 
-        this.showScreen('gameOverScreen');
+        // A new table entry goes straight to the name field
+        const nameInput = this.pendingScore ? document.getElementById('playerName') : null;
+        this.showScreen('gameOverScreen', nameInput);
+        nameInput?.select();
+
+        const summary = [
+            document.getElementById('gameOverTitle').textContent,
+            I18n.t('gameOver.summaryScore', { score: document.getElementById('finalScore').textContent })
+        ];
+        if (!document.getElementById('newRecord').classList.contains('hidden')) {
+            summary.push(I18n.t('gameOver.summaryRecord'));
+        }
+        if (this.pendingScore) {
+            summary.push(document.getElementById('nameEntryRank').textContent);
+        }
+        this.announce(summary.join(' '));
     }
 
-    tick() {
-        // Process input queue
-        if (this.state.dirQueue.length > 0) {
-            this.state.dir = this.state.dirQueue.shift();
+    recordHighScore() {
+        const nameEntry = document.getElementById('nameEntry');
+        const player = this.state.players[0];
+
+        // Replays, stages and daily runs (they have their own board) never
+        // reach the tables, nor do versus rounds and assisted runs
+        if (this.replay || this.state.stage || this.daily || !this.state.countsForRecords(player) || player.score === 0) {
+            return;
         }
 
-        // Calculate next head position
-        const head = this.state.snake[0];
-        let nextHead = {
-            x: head.x + this.state.dir.x,
-            y: head.y + this.state.dir.y
+        const key = Storage.getScoreKey(this.state.settings);
+        const entry = {
+            name: Storage.getPlayerName(),
+            score: player.score,
+            level: this.state.level,
+            maxCombo: player.maxCombo,
+            length: player.snake.length,
+            foods: player.foodsEaten,
+            items: player.itemsUsed,
+            duration: this.state.time,
+            playedAt: Date.now()
         };
+        const rank = Storage.addHighScore(key, entry);
+        if (rank === 0) return;
+
+        // The entry is stored under the last used name; the form renames it
+        this.pendingScore = { key, playedAt: entry.playedAt };
+        document.getElementById('nameEntryRank').textContent = I18n.t('gameOver.rank', { rank });
+        document.getElementById('playerName').value = entry.name;
+        nameEntry.classList.remove('hidden');
+    }
+
+    saveScoreName() {
+        if (!this.pendingScore) return;
+
+        const name = document.getElementById('playerName').value.trim() || Storage.getPlayerName();
+        Storage.renameHighScore(this.pendingScore.key, this.pendingScore.playedAt, name);
+        Storage.savePlayerName(name);
+        this.pendingScore = null;
+        document.getElementById('nameEntry').classList.add('hidden');
+    }
+
+    showScores() {
+        Object.entries(SCORE_FILTERS).forEach(([id, rule]) => {
+            document.getElementById(id).value = this.settings[rule];
+        });
+        this.renderScores();
+        this.showScreen('scoresScreen');
+    }
+
+    getScoreFilterKey() {
+        const settings = {};
+        Object.entries(SCORE_FILTERS).forEach(([id, rule]) => {
+            settings[rule] = document.getElementById(id).value;
+        });
+        return Storage.getScoreKey(settings);
+    }
 
-        // Wrap position if needed
-        if (this.state.settings.wallMode === 'wrap') {
-            nextHead = this.collision.wrapPosition(nextHead);
+    renderScores() {
+        const scores = Storage.getHighScores(this.getScoreFilterKey());
+        const body = document.getElementById('scoreTable');
+        body.innerHTML = '';
+
+        if (scores.length === 0) {
+            body.innerHTML = `<tr><td colspan="9">${I18n.t('common.noScores')}</td></tr>`;
         }
 
-        // Check collision
-        if (this.collision.checkCollision(nextHead)) {
-            this.gameOver();
+        // Names are user input, so cells are filled as text
+        scores.forEach((entry, i) => {
+            const row = document.createElement('tr');
+            [
+                I18n.number(i + 1), entry.name || I18n.t('common.player'),
+                ...[entry.score, entry.level, entry.maxCombo, entry.length, entry.foods, entry.items]
+                    .map(value => I18n.number(value)),
+                Utils.formatDuration(entry.duration)
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+
+        document.getElementById('clearScoresBtn').disabled = scores.length === 0;
+    }
+
+    clearScores() {
+        if (confirm(I18n.t('scores.clearConfirm'))) {
+            Storage.clearHighScores(this.getScoreFilterKey());
+            this.renderScores();
+        }
+    }
+
+    showBotResult() {
+        const matchStatus = document.getElementById('matchStatus');
+        const bots = this.state.players.filter(player => player.bot);
+        if (bots.length === 0) {
+            matchStatus.classList.add('hidden');
+            return;
+        }
+
+        // Rank the player among every snake that shared the board
+        const score = this.state.players[0].score;
+        const rank = bots.filter(bot => bot.score > score).length + 1;
+        matchStatus.textContent = I18n.t('gameOver.botRank', {
+            rank,
+            total: bots.length + 1,
+            bots: bots.map(bot => `${I18n.t(`bot.${bot.bot}`)} ${I18n.number(bot.score)}`).join(' · ')
+        });
+        matchStatus.classList.remove('hidden');
+    }
+
+    showVersusResult() {
+        const match = this.match;
+        const winner = this.state.winner;
+        if (winner === null) {
+            match.draws++;
+        } else {
+            match.wins[winner]++;
+        }
+
+        const matchOver = this.isMatchOver();
+        let title = winner === null ? I18n.t('versus.draw') : I18n.t('versus.win', { player: winner + 1 });
+        if (matchOver) {
+            title = I18n.t('versus.matchWin', { player: match.wins[0] > match.wins[1] ? 1 : 2 });
+        }
+
+        document.getElementById('gameOverTitle').textContent = title;
+        // Each score with its player's colour and name, as in the HUD
+        document.getElementById('finalScore').innerHTML = this.state.players.map(player => {
+            const color = Theme.colors.SNAKES[player.id % Theme.colors.SNAKES.length].HEAD;
+            const label = player.bot
+                ? I18n.t('hud.bot', { bot: I18n.t(`bot.${player.bot}`), score: player.score })
+                : I18n.t('versus.score', { player: player.id + 1, score: player.score });
+            return `<span class="versus-score"><span class="bot-dot" style="background: ${color}"></span>${label}</span>`;
+        }).join(' ');
+        document.getElementById('newRecord').classList.add('hidden');
+        document.getElementById('assistNote').classList.add('hidden');
+
+        const matchStatus = document.getElementById('matchStatus');
+        const status = [I18n.t('versus.round', { round: match.round, p1: match.wins[0], p2: match.wins[1] })];
+        if (match.bestOf > 1) {
+            status.push(I18n.t('versus.bestOf', { rounds: match.bestOf, wins: Math.floor(match.bestOf / 2) + 1 }));
+        }
+        matchStatus.textContent = status.join(' ');
+        matchStatus.classList.remove('hidden');
+        document.getElementById('restartBtn').textContent = I18n.t(matchOver ? 'common.retry' : 'gameOver.nextRound');
+    }
+
+    startReplay(replay, returnScreen) {
+        this.stopDemo();
+
+        this.createSession(replay.settings);
+        this.state.reset(replay.seed);
+        this.state.status = 'replay';
+        this.audio.unlock();
+
+        this.replay = {
+            data: replay,
+            cursor: 0,
+            speed: 1,
+            paused: false,
+            finished: false,
+            returnScreen
+        };
+
+        document.getElementById('replaySpeed').value = '1';
+        document.getElementById('replayControls').classList.remove('hidden');
+        this.showScreen(null);
+        this.updateReplayControls();
+        this.renderer.render();
+        this.hud.update();
+
+        this.lastFrameTime = performance.now();
+        this.replayLoop(this.lastFrameTime);
+    }
+
+    replayTick() {
+        const replay = this.replay;
+        const inputs = replay.data.inputs;
+
+        // Feed the direction changes that were accepted before this tick
+        const input = [];
+        while (replay.cursor < inputs.length && inputs[replay.cursor][0] <= this.state.tickCount) {
+            input.push(Replay.decodeInput(inputs[replay.cursor]));
+            replay.cursor++;
+        }
+
+        this.tick(input);
+
+        if (!replay.finished && this.state.tickCount >= replay.data.ticks) {
+            this.finishReplay();
+        }
+    }
+
+    replayLoop(currentTime) {
+        if (!this.replay || this.state.status !== 'replay') {
             return;
         }
 
-        // Check food
-        let ateFood = false;
-        if (this.state.food && Utils.coordsEqual(nextHead, this.state.food)) {
-            ateFood = true;
-            this.state.foodsEaten++;
-
-            const basePoints = 10 + this.state.level;
-            this.state.addScore(basePoints);
-            this.state.addCombo();
-
-            this.state.spawnFood();
-            this.state.spawnItem();
-            this.state.updateLevel();
-        }
-
-        // Check items
-        const now = Date.now();
-        this.state.items = this.state.items.filter(item => {
-            if (Utils.coordsEqual(nextHead, item.pos)) {
-                // Activate item
-                switch (item.type) {
-                    case 'slow':
-                        this.state.effects.slowUntil = now + CONFIG.ITEM_DURATION;
-                        break;
-                    case 'ghost':
-                        this.state.effects.ghostUntil = now + CONFIG.ITEM_DURATION;
-                        break;
-                    case 'multiplier':
-                        this.state.effects.multUntil = now + CONFIG.ITEM_DURATION;
-                        break;
+        this.animationId = requestAnimationFrame((time) => this.replayLoop(time));
+
+        const deltaTime = Math.min(currentTime - this.lastFrameTime, CONFIG.MAX_FRAME_DELTA);
+        this.lastFrameTime = currentTime;
+
+        if (!this.replay.paused && !this.replay.finished) {
+            this.state.accumulator += deltaTime * this.replay.speed;
+
+            while (this.state.accumulator >= this.state.getCurrentSpeed()) {
+                this.state.accumulator -= this.state.getCurrentSpeed();
+                this.replayTick();
+
+                if (this.replay.finished) {
+                    break;
                 }
-                this.state.addScore(5);
-                return false;
             }
+        }
+
+        // A paused replay shows the settled grid so single steps land on their cell
+        this.renderer.render(this.replay.paused ? 1 : this.renderer.getProgress());
+        this.hud.update();
+        this.updateReplayControls();
+    }
+
+    toggleReplayPause() {
+        if (!this.replay || this.replay.finished) return;
+        this.replay.paused = !this.replay.paused;
+        this.state.accumulator = 0;
+        this.updateReplayControls();
+    }
+
+    stepReplay() {
+        if (!this.replay || this.replay.finished) return;
+        this.replay.paused = true;
+        this.replayTick();
+        this.renderer.render(1);
+        this.hud.update();
+        this.updateReplayControls();
+    }
+
+    finishReplay() {
+        this.replay.finished = true;
+        this.replay.paused = true;
+        this.updateReplayControls();
+    }
+
+    exitReplay() {
+        if (!this.replay) return;
+
+        const returnScreen = this.replay.returnScreen;
+        this.replay = null;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+        }
+        document.getElementById('replayControls').classList.add('hidden');
+
+        this.createSession(this.getSessionSettings());
+        this.renderer.render();
+        this.hud.update();
+
+        if (returnScreen === 'gameOverScreen') {
+            this.state.status = 'gameover';
+            this.showScreen('gameOverScreen');
+        } else {
+            this.showMenu();
+        }
+    }
+
+    updateReplayControls() {
+        if (!this.replay) return;
+
+        const { paused, finished, data } = this.replay;
+        document.getElementById('replayPauseBtn').textContent = I18n.t(paused ? 'replay.play' : 'replay.pause');
+        document.getElementById('replayPauseBtn').disabled = finished;
+        document.getElementById('replayStepBtn').disabled = finished;
+        document.getElementById('replayStatus').textContent = finished
+            ? I18n.t('replay.finished', { score: data.score })
+            : I18n.t('replay.progress', { tick: this.state.tickCount, ticks: data.ticks });
+    }
+
+    exportReplay() {
+        if (!this.lastReplay) return;
+
+        this.download(
+            `snake-replay-${this.lastReplay.seed}-${this.lastReplay.score}.json`,
+            Replay.serialize(this.lastReplay)
+        );
+    }
+
+    download(filename, text) {
+        const blob = new Blob([text], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    importReplay(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let replay;
+            try {
+                replay = Replay.parse(reader.result);
+            } catch (err) {
+                alert(I18n.t('replay.loadFailed', { error: I18n.error(err) }));
+                return;
+            }
+            this.lastReplay = replay;
+            this.startReplay(replay, 'menuScreen');
+        };
+        reader.readAsText(file);
+    }
 
-            // Remove expired items
-            if (now - item.spawnedAt > CONFIG.ITEM_DURATION) {
-                return false;
+    tick(input = []) {
+        // Bots and the autopilot think before every live tick; replays
+        // already hold their moves
+        if (!this.replay) {
+            if (this.demo || this.autopilot) {
+                this.steerAutopilot();
             }
+            input = input.concat(getBotInputs(this.state));
+        }
 
-            return true;
-        });
+        const events = step(this.state, input);
+        this.renderer.effects.trigger(events);
+        // The attract demo behind the menu stays silent
+        if (!this.demo) {
+            this.audio.playEvents(events);
+            this.announceEvents(events);
 
-        // Move snake
-        this.state.snake.unshift(nextHead);
-        if (!ateFood) {
-            this.state.snake.pop();
+            if (this.settings.foodCue && this.state.status === 'playing' &&
+                this.state.tickCount % FOOD_CUE_TICKS === 0) {
+                this.cueFood();
+            }
         }
 
-        // Update combo
-        this.state.updateCombo();
+        if (this.state.status === 'gameover') {
+            this.gameOver();
+        } else if (this.state.status === 'cleared') {
+            this.stageCleared();
+        }
 
-        // Update warning obstacles
-        this.state.updateWarningObstacles();
+        return events;
     }
 
     gameLoop(currentTime) {
-        if (this.state.status !== 'playing') {
+        if (this.state.status !== 'playing' && this.state.status !== 'demo') {
+            this.settleEffects();
             return;
         }
 
         this.animationId = requestAnimationFrame((time) => this.gameLoop(time));
 
-        const deltaTime = currentTime - this.lastFrameTime;
+        const deltaTime = Math.min(currentTime - this.lastFrameTime, CONFIG.MAX_FRAME_DELTA);
         this.lastFrameTime = currentTime;
 
         // Update logic
@@ -910,7 +2832,7 @@ class Game {
             this.tick();
             this.state.accumulator -= tickInterval;
 
-            if (this.state.status !== 'playing') {
+            if (this.state.status !== 'playing' && this.state.status !== 'demo') {
                 break;
             }
         }
@@ -918,6 +2840,25 @@ class Game {
         // Render
         this.renderer.render();
         this.hud.update();
+
+        if (this.state.status !== 'playing' && this.state.status !== 'demo') {
+            this.settleEffects();
+        }
+    }
+
+    // Once the loop stops, keep drawing until the last effects (a crash's
+    // shake and particles, a level banner behind the pause screen) finish
+    settleEffects() {
+        cancelAnimationFrame(this.effectsFrame);
+        const settle = () => {
+            const status = this.state.status;
+            if (status === 'playing' || status === 'demo' || status === 'replay') return;
+            if (!this.renderer.effects.update()) return;
+
+            this.renderer.render();
+            this.effectsFrame = requestAnimationFrame(settle);
+        };
+        this.effectsFrame = requestAnimationFrame(settle);
     }
 }
 
@@ -928,3 +2869,4 @@ let game;
 window.addEventListener('DOMContentLoaded', () => {
     game = new Game();
 });
+})(globalThis.SnakeGame ??= {});
@@ -0,0 +1,687 @@
+// ============================================
+// Jay's 지렁이게임 - Localization
+// ============================================
+//
+// Every string the UI shows comes from MESSAGES, one catalog per language.
+// `{name}` placeholders are filled from params, and numbers in params are
+// formatted for the locale. A message may instead be an object of
+// Intl.PluralRules categories chosen by `params.count`. Korean is the
+// reference catalog: a key missing elsewhere falls back to it.
+//
+// In the page, `data-i18n` sets an element's text and `data-i18n-label` its
+// aria-label. Placeholders in a page message stand for the element's
+// children marked `data-i18n-slot`, which are kept and moved into place.
+
+(function (SnakeGame) {
+'use strict';
+
+const MESSAGES = {
+    ko: {
+        'app.title': "Jay's 지렁이게임",
+        'app.heading': "🐍 Jay's 지렁이게임",
+        'board.label': '게임 보드',
+
+        'hud.score': '점수',
+        'hud.best': '최고점',
+        'hud.goal': '목표',
+        'hud.level': '레벨',
+        'hud.speed': '속도',
+        'hud.combo': '콤보',
+        'hud.comboCount': '콤보 {count}',
+        'hud.stageProgress': '{eaten} / {target}',
+        'hud.speedValue': '{speed}x',
+        'hud.autopilot': '🤖 자동 조종 중 ({key}로 해제)',
+        'hud.bot': '🤖 {bot} {score}',
+        'hud.timeLeft': '남은 시간',
+        'hud.crashes': '충돌',
+        'hud.nextObstacle': '다음 장애물',
+        'hud.seconds': '{seconds}초',
+        'effect.slow': '🐌 느림 {seconds}s',
+        'effect.ghost': '👻 유령 {seconds}s',
+        'effect.multiplier': '✨ x2 {seconds}s',
+        'effect.magnet': '🧲 자석 {seconds}s',
+        'effect.shield': '🛡️ 보호막 ×{count}',
+        'banner.level': '레벨 {level}!',
+
+        'action.up': '위',
+        'action.down': '아래',
+        'action.left': '왼쪽',
+        'action.right': '오른쪽',
+        'action.pause': '일시정지',
+        'action.restart': '재시작',
+        'action.autopilot': '자동 조종',
+
+        'item.slow': '느림',
+        'item.ghost': '유령',
+        'item.multiplier': '2배 점수',
+        'item.shrink': '줄이기',
+        'item.magnet': '자석',
+        'item.shield': '보호막',
+        'item.reverse': '뒤집기',
+        'item.clear': '장애물 제거',
+
+        'bot.easy': '쉬움',
+        'bot.medium': '보통',
+        'bot.hard': '어려움',
+
+        'rule.boardSize.small': '작은 보드',
+        'rule.boardSize.medium': '중간 보드',
+        'rule.boardSize.large': '큰 보드',
+        'rule.wallMode.solid': '충돌 벽',
+        'rule.wallMode.wrap': '통과 벽',
+        'rule.difficultyCurve.gentle': '완만한 커브',
+        'rule.difficultyCurve.normal': '표준 커브',
+        'rule.difficultyCurve.steep': '급격한 커브',
+        'rule.foodCount.1': '먹이 1개',
+        'rule.foodCount.2': '먹이 2개',
+        'rule.foodCount.3': '먹이 3개',
+        'rule.foodCount.5': '먹이 5개',
+        'rule.mode.classic': '클래식',
+        'rule.mode.timeAttack': '타임 어택',
+        'rule.mode.zen': '젠',
+        'rule.mode.survival': '서바이벌',
+        'rule.mode.pure': '순수 클래식',
+
+        'mode.classic': '아이템과 콤보가 있는 기본 규칙',
+        'mode.timeAttack': '2분 안에 최대한 많은 점수를 모으세요',
+        'mode.zen': '죽지 않습니다. 부딪히면 점수가 깎입니다',
+        'mode.survival': '먹이와 상관없이 몇 초마다 장애물이 생깁니다',
+        'mode.pure': '아이템과 콤보 없이 먹이만 먹습니다',
+
+        'common.mainMenu': '메인 메뉴',
+        'common.editorReturn': '에디터로 돌아가기',
+        'common.retry': '다시 하기',
+        'common.back': '돌아가기',
+        'common.export': '내보내기',
+        'common.import': '불러오기',
+        'common.noScores': '아직 기록이 없습니다',
+        'common.player': '플레이어',
+        'common.untitledStage': '이름 없는 스테이지',
+
+        'replay.pause': '⏸ 일시정지',
+        'replay.play': '▶ 재생',
+        'replay.step': '⏭ 한 틱',
+        'replay.close': '닫기',
+        'replay.progress': '리플레이 {tick} / {ticks}',
+        'replay.finished': '리플레이 종료 · {score}점',
+        'replay.loadFailed': '리플레이를 불러올 수 없습니다: {error}',
+
+        'menu.controls': '조작: {up} {left} {down} {right} · 게임패드',
+        'menu.start': '게임 시작',
+        'menu.versus': '2인 대전',
+        'menu.campaign': '캠페인',
+        'menu.daily': '오늘의 도전',
+        'menu.scores': '기록',
+        'menu.settings': '설정',
+        'menu.editor': '레벨 에디터',
+        'menu.importReplay': '리플레이 불러오기',
+        'menu.keys': '{pause} - 일시정지 | {restart} - 재시작 | {autopilot} - 자동 조종',
+        'menu.versusKeys': '2인 대전: P1 {p1} · P2 {p2}',
+
+        'pause.title': '일시정지',
+        'pause.resume': '계속하기',
+        'pause.restart': '재시작',
+        'pause.endRun': '게임 끝내기',
+
+        'gameOver.title': '게임 오버!',
+        'gameOver.timeUp': '시간 종료!',
+        'gameOver.ended': '게임 종료',
+        'gameOver.newRecord': '🎉 신기록!',
+        'gameOver.assisted': '자동 조종을 사용해 기록에 남지 않습니다',
+        'gameOver.rank': '{rank}위 기록! 이름을 남기세요',
+        'gameOver.save': '저장',
+        'gameOver.seed': '시드: {seed}',
+        'gameOver.watchReplay': '리플레이 보기',
+        'gameOver.exportReplay': '리플레이 저장',
+        'gameOver.nextRound': '다음 라운드',
+        'gameOver.botRank': '{rank}위 / {total} · 🤖 {bots}',
+        'gameOver.summaryScore': '점수 {score}점.',
+        'gameOver.summaryRecord': '신기록!',
+
+        'versus.p1': 'P1 · {keys}',
+        'versus.p2': 'P2 · {keys}',
+        'versus.score': 'P{player} {score}',
+        'versus.draw': '무승부!',
+        'versus.win': 'P{player} 승리!',
+        'versus.matchWin': 'P{player} 최종 승리! 🏆',
+        'versus.round': '라운드 {round} · {p1} : {p2}',
+        'versus.bestOf': '({rounds}판 {wins}선승)',
+
+        'announce.level': '레벨 {level}',
+        'announce.item': '{item} 획득',
+        'announce.shield': '보호막이 충돌을 막았습니다',
+        'announce.poison': '독 먹이! 몸이 줄어듭니다',
+        'announce.crash': '충돌! {points}점 감점',
+        'announce.combo': '{count} 콤보',
+        'announce.portal': '포털이 열렸습니다',
+        'announce.gate': '일방통행 칸이 생겼습니다',
+        'announce.hazard': '움직이는 함정이 나타났습니다',
+
+        'campaign.title': '캠페인',
+        'campaign.best': '최고 {score}',
+        'campaign.target': '목표 {target}',
+        'campaign.loadFailed': '캠페인을 불러올 수 없습니다: {error}',
+
+        'scores.title': '기록',
+        'scores.rank': '순위',
+        'scores.name': '이름',
+        'scores.score': '점수',
+        'scores.level': '레벨',
+        'scores.maxCombo': '최대 콤보',
+        'scores.length': '길이',
+        'scores.foods': '먹이',
+        'scores.items': '아이템',
+        'scores.time': '시간',
+        'scores.clear': '기록 지우기',
+        'scores.clearConfirm': '이 조합의 기록을 모두 지울까요?',
+
+        'daily.title': '오늘의 도전',
+        'daily.subtitle': '하루 동안 모두가 같은 시드와 규칙으로 겨룹니다',
+        'daily.start': '도전 시작',
+        'daily.history': '기록',
+        'daily.today': '오늘 ({day})',
+        'daily.attempts': '도전 {count}회',
+        'daily.ranked': '오늘의 도전 {rank}위 · {attempts}번째 도전',
+        'daily.unranked': '오늘의 도전 순위 밖 · {attempts}번째 도전',
+
+        'stageClear.title': '스테이지 클리어!',
+        'stageClear.best': '🎉 스테이지 최고 기록!',
+        'stageClear.campaignComplete': '🏆 캠페인 완료!',
+        'stageClear.next': '다음 스테이지',
+        'stageClear.list': '스테이지 목록',
+
+        'settings.title': '게임 설정',
+        'settings.boardSize': '보드 크기',
+        'settings.boardSize.small': '작음 (20x15)',
+        'settings.boardSize.medium': '중간 (25x20)',
+        'settings.boardSize.large': '크게 (30x25)',
+        'settings.wallMode': '벽 모드',
+        'settings.wallMode.solid': '충돌 (벽에 닿으면 게임 오버)',
+        'settings.wallMode.wrap': '통과 (반대편으로 이동)',
+        'settings.difficultyCurve': '난이도 커브',
+        'settings.difficultyCurve.gentle': '완만 (느린 속도 증가)',
+        'settings.difficultyCurve.normal': '표준 (적당한 속도 증가)',
+        'settings.difficultyCurve.steep': '급격 (빠른 속도 증가)',
+        'settings.foodCount': '먹이 수',
+        'settings.mode': '게임 모드',
+        'settings.versusRounds': '2인 대전 판수',
+        'settings.versusRounds.1': '단판',
+        'settings.versusRounds.3': '3판 2선승',
+        'settings.versusRounds.5': '5판 3선승',
+        'settings.botCount': 'AI 상대',
+        'settings.botCount.0': '없음',
+        'settings.botCount.1': '1마리',
+        'settings.botCount.2': '2마리',
+        'settings.botCount.3': '3마리',
+        'settings.botDifficulty': 'AI 난이도',
+        'settings.botDifficulty.easy': '쉬움 (먹이로 직진)',
+        'settings.botDifficulty.medium': '보통 (길 찾기)',
+        'settings.botDifficulty.hard': '어려움 (꼬리까지 계산)',
+        'settings.touchControls': '터치 조작',
+        'settings.touchControls.swipe': '스와이프 (화면을 밀어서 방향 전환)',
+        'settings.touchControls.dpad': '방향 버튼 (화면 아래 십자키)',
+        'settings.theme': '테마',
+        'settings.theme.dark': '다크',
+        'settings.theme.light': '라이트',
+        'settings.theme.contrast': '고대비',
+        'settings.theme.colorblind': '색각 보정 (적록 색약)',
+        'settings.reducedMotion': '움직임 줄이기',
+        'settings.reducedMotion.system': '시스템 설정 따르기',
+        'settings.reducedMotion.on': '켜기 (흔들림·파티클 끄기)',
+        'settings.reducedMotion.off': '끄기',
+        'settings.language': '언어',
+        'settings.language.auto': '자동 (브라우저 언어)',
+        'settings.sound': '소리',
+        'settings.masterVolume': '전체',
+        'settings.masterVolumeLabel': '전체 음량',
+        'settings.sfxVolume': '효과음',
+        'settings.sfxVolumeLabel': '효과음 음량',
+        'settings.musicVolume': '배경 음악',
+        'settings.musicVolumeLabel': '배경 음악 음량',
+        'settings.music': '배경 음악 켜기',
+        'settings.muted': '음소거',
+        'settings.foodCue': '먹이 방향 소리 안내 (왼쪽·오른쪽 소리와 음높이)',
+        'settings.controls': '조작 키 설정',
+        'settings.profile': '프로필',
+        'settings.storageNote': '브라우저 저장소를 쓸 수 없어 창을 닫으면 기록이 사라집니다',
+        'settings.storageRecovered': '저장 데이터가 손상되어 기본값으로 새로 시작했습니다',
+        'settings.save': '저장하고 돌아가기',
+
+        'profile.loadFailed': '프로필을 불러올 수 없습니다: {error}',
+        'profile.loaded': '프로필을 불러왔습니다',
+
+        'controls.title': '조작 키',
+        'controls.hint': '칸을 누른 뒤 새 키를 누르세요 · Delete로 두 번째 키 지우기',
+        'controls.presetDefault': '기본 (방향키 + WASD)',
+        'controls.presetVim': 'Vim (hjkl)',
+        'controls.gamepad': '게임패드: 십자키·스틱으로 이동, Start로 일시정지 · 2인 대전에서는 먼저 연결한 패드가 P1',
+        'controls.waiting': '키를 누르세요…',
+        'controls.firstKeyRequired': '첫 번째 키는 지울 수 없습니다',
+        'controls.conflict': "{key} 키는 이미 '{action}'에 쓰이고 있습니다",
+        'controls.versusTitle': '2인 대전',
+        'controls.versusKey': 'P{player} {action}',
+        'controls.versusKeyRequired': '2인 대전 키는 지울 수 없습니다',
+
+        'editor.title': '레벨 에디터',
+        'editor.name': '이름',
+        'editor.size': '크기 (8~60)',
+        'editor.target': '목표 먹이',
+        'editor.wallMode': '벽 모드',
+        'editor.wallMode.solid': '충돌',
+        'editor.wallMode.wrap': '통과',
+        'editor.startDir': '시작 방향',
+        'editor.items': '아이템',
+        'editor.tool.wall': '벽',
+        'editor.tool.portal': '포털',
+        'editor.tool.gate': '일방통행',
+        'editor.tool.start': '시작',
+        'editor.tool.erase': '지우개',
+        'editor.clear': '모두 지우기',
+        'editor.play': '테스트 플레이',
+        'editor.unreachable': '시작 위치에서 갈 수 없는 빈 칸이 {count}개 있습니다',
+        'editor.noFloor': '먹이를 놓을 빈 칸이 없습니다',
+        'editor.summary': '{cols}×{rows} · 벽 {walls}칸 · 포털 {portals}쌍 · 일방통행 {gates}칸',
+        'editor.loadFailed': '스테이지를 불러올 수 없습니다: {error}',
+
+        'error.json': '파일 형식이 올바르지 않습니다',
+        'error.replayVersion': '지원하지 않는 리플레이 버전입니다',
+        'error.replayCorrupt': '리플레이 파일이 손상되었습니다',
+        'error.replaySettings': '리플레이 설정이 올바르지 않습니다',
+        'error.replayInputs': '리플레이 입력이 올바르지 않습니다',
+        'error.stageVersion': '지원하지 않는 스테이지 버전입니다',
+        'error.stageSize': '스테이지 크기가 올바르지 않습니다',
+        'error.stageMap': '스테이지 지도가 올바르지 않습니다',
+        'error.stagePortals': '포털은 같은 번호끼리 두 칸씩 짝을 이뤄야 합니다',
+        'error.stageStart': '시작 위치가 올바르지 않습니다',
+        'error.stageStartFloor': '시작 위치는 빈 칸이어야 합니다',
+        'error.stageTarget': '목표 먹이 수가 올바르지 않습니다',
+        'error.stageItems': '아이템 목록이 올바르지 않습니다',
+        'error.stageWallMode': '벽 모드가 올바르지 않습니다',
+        'error.profileInvalid': '프로필 파일이 올바르지 않습니다',
+        'error.profileNewer': '더 새로운 버전에서 만든 프로필입니다'
+    },
+
+    en: {
+        'app.title': "Jay's Snake Game",
+        'app.heading': "🐍 Jay's Snake Game",
+        'board.label': 'Game board',
+
+        'hud.score': 'Score',
+        'hud.best': 'Best',
+        'hud.goal': 'Goal',
+        'hud.level': 'Level',
+        'hud.speed': 'Speed',
+        'hud.combo': 'Combo',
+        'hud.comboCount': 'Combo {count}',
+        'hud.stageProgress': '{eaten} / {target}',
+        'hud.speedValue': '{speed}x',
+        'hud.autopilot': '🤖 Autopilot on (press {key} to take over)',
+        'hud.bot': '🤖 {bot} {score}',
+        'hud.timeLeft': 'Time left',
+        'hud.crashes': 'Crashes',
+        'hud.nextObstacle': 'Next obstacle',
+        'hud.seconds': '{seconds}s',
+        'effect.slow': '🐌 Slow {seconds}s',
+        'effect.ghost': '👻 Ghost {seconds}s',
+        'effect.multiplier': '✨ x2 {seconds}s',
+        'effect.magnet': '🧲 Magnet {seconds}s',
+        'effect.shield': '🛡️ Shield ×{count}',
+        'banner.level': 'Level {level}!',
+
+        'action.up': 'Up',
+        'action.down': 'Down',
+        'action.left': 'Left',
+        'action.right': 'Right',
+        'action.pause': 'Pause',
+        'action.restart': 'Restart',
+        'action.autopilot': 'Autopilot',
+
+        'item.slow': 'Slow',
+        'item.ghost': 'Ghost',
+        'item.multiplier': 'Double score',
+        'item.shrink': 'Shrink',
+        'item.magnet': 'Magnet',
+        'item.shield': 'Shield',
+        'item.reverse': 'Reverse',
+        'item.clear': 'Clear obstacles',
+
+        'bot.easy': 'Easy',
+        'bot.medium': 'Medium',
+        'bot.hard': 'Hard',
+
+        'rule.boardSize.small': 'Small board',
+        'rule.boardSize.medium': 'Medium board',
+        'rule.boardSize.large': 'Large board',
+        'rule.wallMode.solid': 'Solid walls',
+        'rule.wallMode.wrap': 'Wrapping walls',
+        'rule.difficultyCurve.gentle': 'Gentle curve',
+        'rule.difficultyCurve.normal': 'Normal curve',
+        'rule.difficultyCurve.steep': 'Steep curve',
+        'rule.foodCount.1': '1 food',
+        'rule.foodCount.2': '2 foods',
+        'rule.foodCount.3': '3 foods',
+        'rule.foodCount.5': '5 foods',
+        'rule.mode.classic': 'Classic',
+        'rule.mode.timeAttack': 'Time attack',
+        'rule.mode.zen': 'Zen',
+        'rule.mode.survival': 'Survival',
+        'rule.mode.pure': 'Pure classic',
+
+        'mode.classic': 'The standard rules, with items and combos',
+        'mode.timeAttack': 'Score as much as you can in 2 minutes',
+        'mode.zen': 'No dying. Crashes cost points',
+        'mode.survival': 'An obstacle appears every few seconds, food or not',
+        'mode.pure': 'Just food: no items, no combos',
+
+        'common.mainMenu': 'Main menu',
+        'common.editorReturn': 'Back to editor',
+        'common.retry': 'Play again',
+        'common.back': 'Back',
+        'common.export': 'Export',
+        'common.import': 'Import',
+        'common.noScores': 'No scores yet',
+        'common.player': 'Player',
+        'common.untitledStage': 'Untitled stage',
+
+        'replay.pause': '⏸ Pause',
+        'replay.play': '▶ Play',
+        'replay.step': '⏭ One tick',
+        'replay.close': 'Close',
+        'replay.progress': 'Replay {tick} / {ticks}',
+        'replay.finished': 'Replay over · {score} points',
+        'replay.loadFailed': 'Could not load the replay: {error}',
+
+        'menu.controls': 'Controls: {up} {left} {down} {right} · gamepad',
+        'menu.start': 'Start game',
+        'menu.versus': '2-player versus',
+        'menu.campaign': 'Campaign',
+        'menu.daily': 'Daily challenge',
+        'menu.scores': 'High scores',
+        'menu.settings': 'Settings',
+        'menu.editor': 'Level editor',
+        'menu.importReplay': 'Load replay',
+        'menu.keys': '{pause} - pause | {restart} - restart | {autopilot} - autopilot',
+        'menu.versusKeys': 'Versus: P1 {p1} · P2 {p2}',
+
+        'pause.title': 'Paused',
+        'pause.resume': 'Resume',
+        'pause.restart': 'Restart',
+        'pause.endRun': 'End run',
+
+        'gameOver.title': 'Game over!',
+        'gameOver.timeUp': "Time's up!",
+        'gameOver.ended': 'Run over',
+        'gameOver.newRecord': '🎉 New record!',
+        'gameOver.assisted': 'Autopilot was used, so this run is not recorded',
+        'gameOver.rank': 'Rank #{rank}! Enter your name',
+        'gameOver.save': 'Save',
+        'gameOver.seed': 'Seed: {seed}',
+        'gameOver.watchReplay': 'Watch replay',
+        'gameOver.exportReplay': 'Save replay',
+        'gameOver.nextRound': 'Next round',
+        'gameOver.botRank': '#{rank} of {total} · 🤖 {bots}',
+        'gameOver.summaryScore': 'Score {score}.',
+        'gameOver.summaryRecord': 'New record!',
+
+        'versus.p1': 'P1 · {keys}',
+        'versus.p2': 'P2 · {keys}',
+        'versus.score': 'P{player} {score}',
+        'versus.draw': 'Draw!',
+        'versus.win': 'P{player} wins!',
+        'versus.matchWin': 'P{player} wins the match! 🏆',
+        'versus.round': 'Round {round} · {p1} : {p2}',
+        'versus.bestOf': '(first to {wins} of {rounds})',
+
+        'announce.level': 'Level {level}',
+        'announce.item': '{item} collected',
+        'announce.shield': 'The shield blocked a crash',
+        'announce.poison': 'Poison! The snake shrinks',
+        'announce.crash': 'Crash! {points} points lost',
+        'announce.combo': '{count} combo',
+        'announce.portal': 'A portal opened',
+        'announce.gate': 'A one-way gate appeared',
+        'announce.hazard': 'A moving hazard appeared',
+
+        'campaign.title': 'Campaign',
+        'campaign.best': 'Best {score}',
+        'campaign.target': 'Goal {target}',
+        'campaign.loadFailed': 'Could not load the campaign: {error}',
+
+        'scores.title': 'High scores',
+        'scores.rank': 'Rank',
+        'scores.name': 'Name',
+        'scores.score': 'Score',
+        'scores.level': 'Level',
+        'scores.maxCombo': 'Max combo',
+        'scores.length': 'Length',
+        'scores.foods': 'Food',
+        'scores.items': 'Items',
+        'scores.time': 'Time',
+        'scores.clear': 'Clear scores',
+        'scores.clearConfirm': 'Clear every score for these rules?',
+
+        'daily.title': 'Daily challenge',
+        'daily.subtitle': 'Everyone plays the same seed and rules all day',
+        'daily.start': 'Start challenge',
+        'daily.history': 'Scores',
+        'daily.today': 'Today ({day})',
+        'daily.attempts': { one: '{count} attempt', other: '{count} attempts' },
+        'daily.ranked': 'Daily challenge #{rank} · attempt {attempts}',
+        'daily.unranked': 'Outside the daily top scores · attempt {attempts}',
+
+        'stageClear.title': 'Stage clear!',
+        'stageClear.best': '🎉 Stage best!',
+        'stageClear.campaignComplete': '🏆 Campaign complete!',
+        'stageClear.next': 'Next stage',
+        'stageClear.list': 'Stage list',
+
+        'settings.title': 'Settings',
+        'settings.boardSize': 'Board size',
+        'settings.boardSize.small': 'Small (20x15)',
+        'settings.boardSize.medium': 'Medium (25x20)',
+        'settings.boardSize.large': 'Large (30x25)',
+        'settings.wallMode': 'Walls',
+        'settings.wallMode.solid': 'Solid (hitting a wall ends the game)',
+        'settings.wallMode.wrap': 'Wrap (come out the other side)',
+        'settings.difficultyCurve': 'Difficulty curve',
+        'settings.difficultyCurve.gentle': 'Gentle (speeds up slowly)',
+        'settings.difficultyCurve.normal': 'Normal (speeds up steadily)',
+        'settings.difficultyCurve.steep': 'Steep (speeds up quickly)',
+        'settings.foodCount': 'Foods on the board',
+        'settings.mode': 'Game mode',
+        'settings.versusRounds': 'Versus rounds',
+        'settings.versusRounds.1': 'Single round',
+        'settings.versusRounds.3': 'Best of 3',
+        'settings.versusRounds.5': 'Best of 5',
+        'settings.botCount': 'AI opponents',
+        'settings.botCount.0': 'None',
+        'settings.botCount.1': '1 snake',
+        'settings.botCount.2': '2 snakes',
+        'settings.botCount.3': '3 snakes',
+        'settings.botDifficulty': 'AI difficulty',
+        'settings.botDifficulty.easy': 'Easy (heads straight for food)',
+        'settings.botDifficulty.medium': 'Medium (finds a path)',
+        'settings.botDifficulty.hard': 'Hard (plans around its tail)',
+        'settings.touchControls': 'Touch controls',
+        'settings.touchControls.swipe': 'Swipe (drag on the board to turn)',
+        'settings.touchControls.dpad': 'D-pad (buttons under the board)',
+        'settings.theme': 'Theme',
+        'settings.theme.dark': 'Dark',
+        'settings.theme.light': 'Light',
+        'settings.theme.contrast': 'High contrast',
+        'settings.theme.colorblind': 'Colour-blind friendly (red-green)',
+        'settings.reducedMotion': 'Reduce motion',
+        'settings.reducedMotion.system': 'Follow system setting',
+        'settings.reducedMotion.on': 'On (no shake or particles)',
+        'settings.reducedMotion.off': 'Off',
+        'settings.language': 'Language',
+        'settings.language.auto': 'Automatic (browser language)',
+        'settings.sound': 'Sound',
+        'settings.masterVolume': 'Master',
+        'settings.masterVolumeLabel': 'Master volume',
+        'settings.sfxVolume': 'Effects',
+        'settings.sfxVolumeLabel': 'Effects volume',
+        'settings.musicVolume': 'Music',
+        'settings.musicVolumeLabel': 'Music volume',
+        'settings.music': 'Play music',
+        'settings.muted': 'Mute',
+        'settings.foodCue': 'Food direction sound cue (left-right pan and pitch)',
+        'settings.controls': 'Key bindings',
+        'settings.profile': 'Profile',
+        'settings.storageNote': 'Browser storage is unavailable, so scores are lost when the window closes',
+        'settings.storageRecovered': 'The save data was damaged, so the game started over with defaults',
+        'settings.save': 'Save and go back',
+
+        'profile.loadFailed': 'Could not load the profile: {error}',
+        'profile.loaded': 'Profile loaded',
+
+        'controls.title': 'Key bindings',
+        'controls.hint': 'Click a slot, then press the new key · Delete clears the second key',
+        'controls.presetDefault': 'Default (arrows + WASD)',
+        'controls.presetVim': 'Vim (hjkl)',
+        'controls.gamepad': 'Gamepad: D-pad or stick to move, Start to pause · In versus the first pad connected is P1',
+        'controls.waiting': 'Press a key…',
+        'controls.firstKeyRequired': 'The first key cannot be cleared',
+        'controls.conflict': "{key} is already bound to '{action}'",
+        'controls.versusTitle': 'Versus',
+        'controls.versusKey': 'P{player} {action}',
+        'controls.versusKeyRequired': 'Versus keys cannot be cleared',
+
+        'editor.title': 'Level editor',
+        'editor.name': 'Name',
+        'editor.size': 'Size (8–60)',
+        'editor.target': 'Food goal',
+        'editor.wallMode': 'Walls',
+        'editor.wallMode.solid': 'Solid',
+        'editor.wallMode.wrap': 'Wrap',
+        'editor.startDir': 'Start direction',
+        'editor.items': 'Items',
+        'editor.tool.wall': 'Wall',
+        'editor.tool.portal': 'Portal',
+        'editor.tool.gate': 'One-way',
+        'editor.tool.start': 'Start',
+        'editor.tool.erase': 'Eraser',
+        'editor.clear': 'Clear all',
+        'editor.play': 'Test play',
+        'editor.unreachable': {
+            one: '{count} empty cell cannot be reached from the start',
+            other: '{count} empty cells cannot be reached from the start'
+        },
+        'editor.noFloor': 'There is no empty cell left for food',
+        'editor.summary': '{cols}×{rows} · walls {walls} · portal pairs {portals} · gates {gates}',
+        'editor.loadFailed': 'Could not load the stage: {error}',
+
+        'error.json': 'The file is not valid JSON',
+        'error.replayVersion': 'This replay version is not supported',
+        'error.replayCorrupt': 'The replay file is damaged',
+        'error.replaySettings': 'The replay settings are invalid',
+        'error.replayInputs': 'The replay inputs are invalid',
+        'error.stageVersion': 'This stage version is not supported',
+        'error.stageSize': 'The stage size is invalid',
+        'error.stageMap': 'The stage map is invalid',
+        'error.stagePortals': 'Each portal number must appear on exactly two cells',
+        'error.stageStart': 'The start position is invalid',
+        'error.stageStartFloor': 'The start position must be an empty cell',
+        'error.stageTarget': 'The food goal is invalid',
+        'error.stageItems': 'The item list is invalid',
+        'error.stageWallMode': 'The wall mode is invalid',
+        'error.profileInvalid': 'This is not a profile file',
+        'error.profileNewer': 'This profile was made by a newer version'
+    }
+};
+
+const LANGUAGES = Object.keys(MESSAGES);
+
+// Browsers asking for a language without a catalog get this one
+const FALLBACK_LANGUAGE = 'en';
+
+const I18n = {
+    locale: 'ko',
+    numberFormat: new Intl.NumberFormat('ko'),
+    pluralRules: new Intl.PluralRules('ko'),
+
+    // 'auto' takes the first browser language with a catalog
+    resolve(setting) {
+        if (MESSAGES[setting]) return setting;
+
+        const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+        const match = preferred
+            .map(tag => String(tag || '').toLowerCase().split('-')[0])
+            .find(language => MESSAGES[language]);
+        return match || FALLBACK_LANGUAGE;
+    },
+
+    // Switches language and re-renders the page's static text
+    apply(setting) {
+        this.locale = this.resolve(setting);
+        this.numberFormat = new Intl.NumberFormat(this.locale);
+        this.pluralRules = new Intl.PluralRules(this.locale);
+        document.documentElement.lang = this.locale;
+        document.title = this.t('app.title');
+        this.translate(document);
+    },
+
+    t(key, params = {}) {
+        let message = MESSAGES[this.locale][key] ?? MESSAGES.ko[key] ?? key;
+        if (typeof message === 'object') {
+            message = message[this.pluralRules.select(params.count)] ?? message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined) return placeholder;
+            return typeof value === 'number' ? this.number(value) : value;
+        });
+    },
+
+    // `options` are Intl.NumberFormat options, e.g. fixed decimals
+    number(value, options = null) {
+        return options
+            ? new Intl.NumberFormat(this.locale, options).format(value)
+            : this.numberFormat.format(value);
+    },
+
+    // Names from content files may give one text per language
+    localize(text) {
+        if (text === null || typeof text !== 'object') return text;
+        return text[this.locale] ?? text.ko ?? Object.values(text)[0] ?? '';
+    },
+
+    // Parse errors from the engine and storage carry a `code`; anything
+    // else is shown as is
+    error(err) {
+        if (err.code) return this.t(`error.${err.code}`);
+        if (err instanceof SyntaxError) return this.t('error.json');
+        return err.message;
+    },
+
+    translate(root) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            this.fill(el, this.t(el.dataset.i18n));
+        });
+        root.querySelectorAll('[data-i18n-label]').forEach(el => {
+            el.setAttribute('aria-label', this.t(el.dataset.i18nLabel));
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.setAttribute('placeholder', this.t(el.dataset.i18nPlaceholder));
+        });
+    },
+
+    fill(el, message) {
+        const slots = {};
+        el.querySelectorAll(':scope > [data-i18n-slot]').forEach(child => {
+            slots[child.dataset.i18nSlot] = child;
+        });
+        if (Object.keys(slots).length === 0) {
+            el.textContent = message;
+            return;
+        }
+
+        el.replaceChildren(...message.split(/(\{\w+\})/).filter(Boolean).map(part => {
+            const slot = slots[part.slice(1, -1)];
+            return part.startsWith('{') && slot ? slot : document.createTextNode(part);
+        }));
+    }
+};
+
+SnakeGame.i18n = { MESSAGES, LANGUAGES, I18n };
+})(globalThis.SnakeGame ??= {});
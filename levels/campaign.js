@@ -0,0 +1,240 @@
+// ============================================
+// Jay's 지렁이게임 - Campaign
+// ============================================
+//
+// The campaign stages, in play order, in the format Level.parse reads. They
+// ship as a script rather than a JSON file so the page can read them when
+// it is opened from file://, where fetch is not allowed.
+
+(function (SnakeGame) {
+'use strict';
+
+const CAMPAIGN = {
+    version: 1,
+    levels: [
+        {
+            version: 1,
+            id: 'first-steps',
+            name: { ko: '첫 걸음', en: 'First steps' },
+            cols: 20,
+            rows: 15,
+            map: [
+                '....................',
+                '....................',
+                '....................',
+                '....................',
+                '....................',
+                '....................',
+                '....................',
+                '....................',
+                '....................',
+                '....................',
+                '....................',
+                '....................',
+                '....................',
+                '....................',
+                '....................'
+            ],
+            start: { x: 4, y: 7, dir: 'R' },
+            target: 5,
+            items: [],
+            wallMode: 'solid'
+        },
+        {
+            version: 1,
+            id: 'pillars',
+            name: { ko: '기둥', en: 'Pillars' },
+            cols: 20,
+            rows: 15,
+            map: [
+                '....................',
+                '....................',
+                '....................',
+                '....##........##....',
+                '....##........##....',
+                '....................',
+                '.........##.........',
+                '.........##.........',
+                '....................',
+                '....................',
+                '....##........##....',
+                '....##........##....',
+                '....................',
+                '....................',
+                '....................'
+            ],
+            start: { x: 2, y: 7, dir: 'R' },
+            target: 8,
+            items: ['slow'],
+            wallMode: 'solid'
+        },
+        {
+            version: 1,
+            id: 'corridors',
+            name: { ko: '복도', en: 'Corridors' },
+            cols: 20,
+            rows: 15,
+            map: [
+                '....................',
+                '....................',
+                '....................',
+                '....................',
+                '########....########',
+                '....................',
+                '....................',
+                '....................',
+                '....................',
+                '....................',
+                '########....########',
+                '....................',
+                '....................',
+                '....................',
+                '....................'
+            ],
+            start: { x: 2, y: 7, dir: 'R' },
+            target: 10,
+            items: ['slow', 'ghost'],
+            wallMode: 'wrap'
+        },
+        {
+            version: 1,
+            id: 'cross',
+            name: { ko: '십자가', en: 'Cross' },
+            cols: 25,
+            rows: 20,
+            map: [
+                '.........................',
+                '.........................',
+                '.........................',
+                '............#............',
+                '............#............',
+                '............#............',
+                '............#............',
+                '............#............',
+                '............#............',
+                '....#################....',
+                '............#............',
+                '............#............',
+                '............#............',
+                '............#............',
+                '............#............',
+                '............#............',
+                '............#............',
+                '.........................',
+                '.........................',
+                '.........................'
+            ],
+            start: { x: 3, y: 3, dir: 'R' },
+            target: 10,
+            items: ['slow', 'ghost'],
+            wallMode: 'solid'
+        },
+        {
+            version: 1,
+            id: 'rooms',
+            name: { ko: '네 개의 방', en: 'Four rooms' },
+            cols: 25,
+            rows: 20,
+            map: [
+                '#########################',
+                '#...........#...........#',
+                '#...........#...........#',
+                '#...........#...........#',
+                '#...........#...........#',
+                '#.......................#',
+                '#...........#...........#',
+                '#...........#...........#',
+                '#...........#...........#',
+                '#...........#...........#',
+                '######.###########.######',
+                '#...........#...........#',
+                '#...........#...........#',
+                '#...........#...........#',
+                '#.......................#',
+                '#...........#...........#',
+                '#...........#...........#',
+                '#...........#...........#',
+                '#...........#...........#',
+                '#########################'
+            ],
+            start: { x: 3, y: 4, dir: 'R' },
+            target: 12,
+            items: ['slow', 'ghost', 'multiplier'],
+            wallMode: 'solid'
+        },
+        {
+            version: 1,
+            id: 'spiral',
+            name: { ko: '소용돌이', en: 'Whirlpool' },
+            cols: 25,
+            rows: 20,
+            map: [
+                '.........................',
+                '.........................',
+                '..#####################..',
+                '......................#..',
+                '......................#..',
+                '......................#..',
+                '....###############...#..',
+                '....#.............#...#..',
+                '....#.............#...#..',
+                '....#.............#...#..',
+                '....#...#.........#...#..',
+                '....#...#.........#...#..',
+                '....#...#.........#...#..',
+                '....#...###########...#..',
+                '....#.................#..',
+                '....#.................#..',
+                '....#.................#..',
+                '....###################..',
+                '.........................',
+                '.........................'
+            ],
+            start: { x: 1, y: 10, dir: 'U' },
+            target: 15,
+            items: ['slow', 'ghost', 'multiplier'],
+            wallMode: 'wrap'
+        },
+        {
+            version: 1,
+            id: 'checker',
+            name: { ko: '바둑판', en: 'Checkerboard' },
+            cols: 30,
+            rows: 25,
+            map: [
+                '..............................',
+                '..............................',
+                '..............................',
+                '...##..##..##..##..##..##..##.',
+                '...##..##..##..##..##..##..##.',
+                '..............................',
+                '..............................',
+                '...##..##..##..##..##..##..##.',
+                '...##..##..##..##..##..##..##.',
+                '..............................',
+                '..............................',
+                '...##..##..##..##..##..##..##.',
+                '...##..##..##..##..##..##..##.',
+                '..............................',
+                '..............................',
+                '...##..##..##..##..##..##..##.',
+                '...##..##..##..##..##..##..##.',
+                '..............................',
+                '..............................',
+                '...##..##..##..##..##..##..##.',
+                '...##..##..##..##..##..##..##.',
+                '..............................',
+                '..............................',
+                '..............................',
+                '..............................'
+            ],
+            start: { x: 1, y: 1, dir: 'R' },
+            target: 20,
+            items: ['slow', 'ghost', 'multiplier'],
+            wallMode: 'solid'
+        }
+    ]
+};
+
+SnakeGame.campaign = { CAMPAIGN };
+})(globalThis.SnakeGame ??= {});
@@ -0,0 +1,451 @@
+// ============================================
+// Jay's 지렁이게임 - Save Data
+// ============================================
+//
+// Everything the game keeps lives in one versioned document under
+// `snake.save`. Older layouts are upgraded one version at a time through
+// MIGRATIONS; version 0 is the loose keys (`snake.best`, `snake.settings`,
+// ...) written before the document existed.
+
+(function (SnakeGame) {
+'use strict';
+
+const { CONFIG, MODE_IDS, Utils } = SnakeGame.engine;
+const { BOT_DIFFICULTIES } = SnakeGame.ai;
+const { CONTROL_PRESETS, VERSUS_PRESET, isValidControls, isValidVersusControls } = SnakeGame.controls;
+const { THEMES } = SnakeGame.themes;
+const { LANGUAGES } = SnakeGame.i18n;
+
+const SAVE_KEY = 'snake.save';
+const SAVE_VERSION = 2;
+// The loose keys the first release wrote, before the save document
+const LEGACY_KEYS = ['snake.best', 'snake.settings'];
+
+const HIGH_SCORES_PER_TABLE = 10;
+const DAILY_SCORES_PER_DAY = 10;
+const DAILY_DAYS_KEPT = 30;
+// No name yet; the UI shows `common.player` in the current language
+const DEFAULT_PLAYER_NAME = '';
+// What version 1 stored before the default was resolved at display time
+const LEGACY_DEFAULT_NAME = '플레이어';
+
+function isVolume(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 100;
+}
+
+// Every setting with its default and either the values it may take or a
+// check for structured values
+const SETTINGS_SCHEMA = {
+    boardSize: { default: 'medium', options: Object.keys(CONFIG.BOARD_SIZES) },
+    wallMode: { default: 'solid', options: ['solid', 'wrap'] },
+    difficultyCurve: { default: 'normal', options: Object.keys(CONFIG.DIFFICULTY_CURVES) },
+    foodCount: { default: 1, options: CONFIG.FOOD_COUNTS },
+    mode: { default: 'classic', options: MODE_IDS },
+    versusRounds: { default: 3, options: [1, 3, 5] },
+    botCount: { default: 0, options: [0, 1, 2, 3] },
+    botDifficulty: { default: 'medium', options: BOT_DIFFICULTIES },
+    touchControls: { default: 'swipe', options: ['swipe', 'dpad'] },
+    reducedMotion: { default: 'system', options: ['system', 'on', 'off'] },
+    masterVolume: { default: 80, valid: isVolume },
+    sfxVolume: { default: 100, valid: isVolume },
+    musicVolume: { default: 60, valid: isVolume },
+    muted: { default: false, options: [false, true] },
+    music: { default: false, options: [false, true] },
+    foodCue: { default: false, options: [false, true] },
+    theme: { default: 'dark', options: Object.keys(THEMES) },
+    // 'auto' follows the browser language
+    language: { default: 'auto', options: ['auto', ...LANGUAGES] },
+    controls: { default: CONTROL_PRESETS.default, valid: isValidControls },
+    versusControls: { default: VERSUS_PRESET, valid: isValidVersusControls }
+};
+
+// ============================================
+// Backends
+// ============================================
+
+// Stands in for localStorage when it is missing or throws (private mode,
+// quota). Data then lasts for the session only.
+class MemoryBackend {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+function openBackend() {
+    try {
+        const probe = 'snake.probe';
+        localStorage.setItem(probe, probe);
+        localStorage.removeItem(probe);
+        return localStorage;
+    } catch {
+        return new MemoryBackend();
+    }
+}
+
+// ============================================
+// Document Shape
+// ============================================
+function createDocument() {
+    return {
+        version: SAVE_VERSION,
+        settings: sanitizeSettings({}),
+        playerName: DEFAULT_PLAYER_NAME,
+        scores: {},
+        campaign: { unlocked: 1, best: {} },
+        daily: {}
+    };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function sanitizeSettings(settings) {
+    const clean = {};
+    Object.entries(SETTINGS_SCHEMA).forEach(([name, rule]) => {
+        const value = isObject(settings) ? settings[name] : undefined;
+        const valid = rule.valid ? rule.valid(value) : rule.options.includes(value);
+        clean[name] = structuredClone(valid ? value : rule.default);
+    });
+    return clean;
+}
+
+function sanitizeScore(entry) {
+    if (!isObject(entry) || !isCount(entry.score)) return null;
+
+    const clean = {
+        name: typeof entry.name === 'string' && entry.name ? entry.name.slice(0, 12) : DEFAULT_PLAYER_NAME,
+        score: entry.score
+    };
+    ['level', 'maxCombo', 'length', 'foods', 'items', 'duration', 'playedAt'].forEach(stat => {
+        clean[stat] = isCount(entry[stat]) ? entry[stat] : 0;
+    });
+    return clean;
+}
+
+function sortScores(scores) {
+    return scores.sort((a, b) => b.score - a.score || a.duration - b.duration);
+}
+
+function sanitizeScoreList(scores, limit) {
+    if (!Array.isArray(scores)) return [];
+    return sortScores(scores.map(sanitizeScore).filter(Boolean)).slice(0, limit);
+}
+
+// Keeps whatever parts of a document are usable and resets the rest
+function sanitizeDocument(doc) {
+    const clean = createDocument();
+    if (!isObject(doc)) return clean;
+
+    clean.settings = sanitizeSettings(doc.settings);
+
+    if (typeof doc.playerName === 'string' && doc.playerName.trim()) {
+        clean.playerName = doc.playerName.trim().slice(0, 12);
+    }
+
+    if (isObject(doc.scores)) {
+        Object.entries(doc.scores).forEach(([key, scores]) => {
+            const list = sanitizeScoreList(scores, HIGH_SCORES_PER_TABLE);
+            if (list.length > 0) {
+                clean.scores[key] = list;
+            }
+        });
+    }
+
+    if (isObject(doc.campaign)) {
+        if (Number.isInteger(doc.campaign.unlocked) && doc.campaign.unlocked >= 1) {
+            clean.campaign.unlocked = doc.campaign.unlocked;
+        }
+        if (isObject(doc.campaign.best)) {
+            Object.entries(doc.campaign.best).forEach(([stage, score]) => {
+                if (isCount(score)) {
+                    clean.campaign.best[stage] = score;
+                }
+            });
+        }
+    }
+
+    if (isObject(doc.daily)) {
+        Object.keys(doc.daily)
+            .filter(day => /^\d{4}-\d{2}-\d{2}$/.test(day) && isObject(doc.daily[day]))
+            .sort().reverse().slice(0, DAILY_DAYS_KEPT)
+            .forEach(day => {
+                const board = doc.daily[day];
+                const scores = sanitizeScoreList(board.scores, DAILY_SCORES_PER_DAY);
+                clean.daily[day] = {
+                    attempts: Math.max(isCount(board.attempts) ? board.attempts : 0, scores.length),
+                    scores
+                };
+            });
+    }
+
+    return clean;
+}
+
+// ============================================
+// Migrations
+// ============================================
+
+// MIGRATIONS[n] turns a version n document into version n + 1
+const MIGRATIONS = [
+    // 0 → 1: gather the loose keys into one document. `snake.best`
+    // predates per-configuration tables, so it becomes the only entry in
+    // the table for the saved settings.
+    (legacy) => {
+        const doc = { version: 1, settings: legacy['snake.settings'], scores: {} };
+
+        const best = legacy['snake.best'];
+        if (isCount(best) && best > 0) {
+            const key = Storage.getScoreKey(sanitizeSettings(doc.settings));
+            doc.scores[key] = [{ name: LEGACY_DEFAULT_NAME, score: best }];
+        }
+
+        return doc;
+    },
+
+    // 1 → 2: the default player name was stored in Korean; it is now left
+    // empty so it shows in the chosen language
+    (doc) => {
+        const unname = name => name === LEGACY_DEFAULT_NAME ? DEFAULT_PLAYER_NAME : name;
+        const scores = {};
+        if (isObject(doc.scores)) {
+            Object.entries(doc.scores).forEach(([key, table]) => {
+                scores[key] = Array.isArray(table)
+                    ? table.map(entry => isObject(entry) ? { ...entry, name: unname(entry.name) } : entry)
+                    : table;
+            });
+        }
+        return { ...doc, version: 2, playerName: unname(doc.playerName), scores };
+    }
+];
+
+function migrate(doc) {
+    let current = doc;
+    while (current.version < SAVE_VERSION) {
+        current = MIGRATIONS[current.version](current);
+    }
+    return current;
+}
+
+function parseJSON(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return undefined;
+    }
+}
+
+function readLegacy(backend) {
+    const legacy = { version: 0 };
+    let found = false;
+    LEGACY_KEYS.forEach(key => {
+        const raw = backend.getItem(key);
+        if (raw !== null) {
+            legacy[key] = parseJSON(raw);
+            found = true;
+        }
+    });
+    return found ? legacy : null;
+}
+
+// ============================================
+// Storage Manager
+// ============================================
+const Storage = {
+    HIGH_SCORES_PER_TABLE,
+    DAILY_SCORES_PER_DAY,
+    DAILY_DAYS_KEPT,
+
+    backend: null,
+    data: null,
+    // Set when the saved document was unreadable and defaults replaced it
+    recovered: false,
+
+    load() {
+        this.backend = openBackend();
+
+        const raw = this.backend.getItem(SAVE_KEY);
+        if (raw !== null) {
+            const doc = parseJSON(raw);
+            if (isObject(doc) && Number.isInteger(doc.version) && doc.version >= 0 && doc.version <= SAVE_VERSION) {
+                this.data = sanitizeDocument(migrate(doc));
+            } else {
+                // Keep the unreadable copy around rather than losing it
+                // silently; the settings screen tells the player
+                try {
+                    this.backend.setItem(`${SAVE_KEY}.corrupt`, raw);
+                } catch {
+                    // No room for the copy; go on without it
+                }
+                this.data = createDocument();
+                this.recovered = true;
+            }
+            this.write();
+            return;
+        }
+
+        const legacy = readLegacy(this.backend);
+        this.data = legacy ? sanitizeDocument(migrate(legacy)) : createDocument();
+        if (this.write() && legacy) {
+            LEGACY_KEYS.forEach(key => this.backend.removeItem(key));
+        }
+    },
+
+    write() {
+        try {
+            this.backend.setItem(SAVE_KEY, JSON.stringify(this.data));
+            return true;
+        } catch {
+            // Quota or a storage that went away mid-session. The settings
+            // screen notes that scores now last only until the window closes.
+            this.backend = new MemoryBackend();
+            this.backend.setItem(SAVE_KEY, JSON.stringify(this.data));
+            return false;
+        }
+    },
+
+    get() {
+        if (!this.data) {
+            this.load();
+        }
+        return this.data;
+    },
+
+    isPersistent() {
+        this.get();
+        return !(this.backend instanceof MemoryBackend);
+    },
+
+    exportProfile() {
+        return JSON.stringify(this.get(), null, 2);
+    },
+
+    // Replaces the whole profile; throws if the file is not a save document
+    importProfile(text) {
+        const doc = parseJSON(text);
+        if (!isObject(doc) || !Number.isInteger(doc.version) || doc.version < 1) {
+            throw Utils.error('profileInvalid', '프로필 파일이 올바르지 않습니다');
+        }
+        if (doc.version > SAVE_VERSION) {
+            throw Utils.error('profileNewer', '더 새로운 버전에서 만든 프로필입니다');
+        }
+        this.data = sanitizeDocument(migrate(doc));
+        this.write();
+    },
+
+    // One table per board size × wall mode × difficulty curve × food
+    // count × mode. A single food and the classic mode keep the key they
+    // had before food counts and modes existed.
+    getScoreKey(settings) {
+        let key = `${settings.boardSize}-${settings.wallMode}-${settings.difficultyCurve}`;
+        if (Number(settings.foodCount) > 1) {
+            key += `-food${settings.foodCount}`;
+        }
+        if (settings.mode && settings.mode !== 'classic') {
+            key += `-${settings.mode}`;
+        }
+        return key;
+    },
+
+    getHighScores(key) {
+        return structuredClone(this.get().scores[key] || []);
+    },
+
+    getBestScore(key) {
+        const scores = this.get().scores[key];
+        return scores ? scores[0].score : 0;
+    },
+
+    // Returns the entry's rank, or 0 if it did not make the table
+    addHighScore(key, entry) {
+        const data = this.get();
+        const scores = sortScores((data.scores[key] || []).concat(entry))
+            .slice(0, HIGH_SCORES_PER_TABLE);
+        data.scores[key] = scores;
+        this.write();
+        return scores.indexOf(entry) + 1;
+    },
+
+    renameHighScore(key, playedAt, name) {
+        const entry = (this.get().scores[key] || []).find(score => score.playedAt === playedAt);
+        if (entry) {
+            entry.name = name;
+            this.write();
+        }
+    },
+
+    clearHighScores(key) {
+        delete this.get().scores[key];
+        this.write();
+    },
+
+    getPlayerName() {
+        return this.get().playerName;
+    },
+
+    savePlayerName(name) {
+        this.get().playerName = name;
+        this.write();
+    },
+
+    getSettings() {
+        return structuredClone(this.get().settings);
+    },
+
+    saveSettings(settings) {
+        this.get().settings = sanitizeSettings(settings);
+        this.write();
+    },
+
+    getCampaignProgress() {
+        return structuredClone(this.get().campaign);
+    },
+
+    saveCampaignProgress(progress) {
+        this.get().campaign = structuredClone(progress);
+        this.write();
+    },
+
+    // { 'YYYY-MM-DD': { attempts, scores: [{ score, length, duration, playedAt }] } }
+    getDailyBoards() {
+        return structuredClone(this.get().daily);
+    },
+
+    // Records one attempt; returns its rank on the day's board (0 if it
+    // did not make the cut) and the day's attempt count
+    addDailyScore(key, entry) {
+        const data = this.get();
+        const board = data.daily[key] || { attempts: 0, scores: [] };
+        board.attempts++;
+        board.scores = sortScores(board.scores.concat(entry)).slice(0, DAILY_SCORES_PER_DAY);
+        data.daily[key] = board;
+
+        const kept = {};
+        Object.keys(data.daily).sort().reverse().slice(0, DAILY_DAYS_KEPT).forEach(day => {
+            kept[day] = data.daily[day];
+        });
+        data.daily = kept;
+        this.write();
+
+        return { rank: board.scores.indexOf(entry) + 1, attempts: board.attempts };
+    }
+};
+
+SnakeGame.storage = { Storage };
+})(globalThis.SnakeGame ??= {});
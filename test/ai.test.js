@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOWN, LEFT, RIGHT, UP, ai, engine, food, game, lay, place } from './helpers.js';
+
+const { Utils, step } = engine;
+const { chooseDirection, getBotInputs } = ai;
+
+// The solo snake at `head` heading `dir`, with `target` the only food on the board
+function setup(state, head, dir, target, length = 1) {
+    place(state, head);
+    state.foods = target ? [food(target)] : [];
+    return lay(state.players[0], head, dir, length);
+}
+
+function wall(state, cells) {
+    cells.forEach(([x, y]) => state.obstacles.add(Utils.coordToString(x, y)));
+}
+
+test('the easy bot heads straight for the food', () => {
+    const state = game({ wallMode: 'solid' });
+    const player = setup(state, { x: 5, y: 5 }, RIGHT, { x: 5, y: 2 });
+
+    assert.deepEqual(chooseDirection(state, player, 'easy'), UP);
+});
+
+test('the medium bot takes the shortest way around obstacles', () => {
+    const state = game({ wallMode: 'solid' });
+    const player = setup(state, { x: 5, y: 5 }, RIGHT, { x: 8, y: 5 });
+    // A wall in the way, shorter to pass below than above
+    wall(state, [[6, 3], [6, 4], [6, 5], [6, 6]]);
+
+    assert.deepEqual(chooseDirection(state, player, 'medium'), DOWN);
+    // Greedy only looks one step ahead and picks the first of two equals
+    assert.deepEqual(chooseDirection(state, player, 'easy'), UP);
+});
+
+test('bots take the short way across wrapping walls', () => {
+    const wrap = game({ wallMode: 'wrap' });
+    const solid = game({ wallMode: 'solid' });
+    [wrap, solid].forEach(state => setup(state, { x: 1, y: 5 }, UP, { x: state.cols - 2, y: 5 }));
+
+    assert.deepEqual(chooseDirection(wrap, wrap.players[0], 'medium'), LEFT);
+    assert.deepEqual(chooseDirection(solid, solid.players[0], 'medium'), RIGHT);
+});
+
+test('bots go after items as well as food', () => {
+    const state = game({ wallMode: 'solid' });
+    const player = setup(state, { x: 5, y: 5 }, RIGHT, null);
+    state.items = [{ type: 'slow', pos: { x: 5, y: 8 }, spawnedAt: 0 }];
+
+    assert.deepEqual(chooseDirection(state, player, 'medium'), DOWN);
+});
+
+test('the hard bot stays out of a dead end it could not leave', () => {
+    const state = game({ wallMode: 'solid' });
+    // A one-cell corridor with food at the closed end
+    const corridor = [];
+    for (let x = 10; x <= 15; x++) {
+        corridor.push([x, 6], [x, 8]);
+    }
+    corridor.push([15, 7]);
+    wall(state, corridor);
+    const player = setup(state, { x: 9, y: 7 }, RIGHT, { x: 14, y: 7 }, 10);
+
+    assert.deepEqual(chooseDirection(state, player, 'medium'), RIGHT);
+    assert.notDeepEqual(chooseDirection(state, player, 'hard'), RIGHT);
+});
+
+test('bots drop out without ending the game', () => {
+    const state = game({ wallMode: 'solid', bots: ['easy'] });
+    const [human, bot] = state.players;
+    lay(bot, { x: 0, y: 2 }, LEFT);
+
+    step(state, []);
+
+    assert.equal(bot.alive, false);
+    assert.equal(human.alive, true);
+    assert.equal(state.status, 'playing');
+});
+
+test('bot inputs only steer bots', () => {
+    const state = game({ wallMode: 'solid', bots: ['easy', 'medium', 'hard'] });
+
+    for (let tick = 0; tick < 200 && state.status === 'playing'; tick++) {
+        const inputs = getBotInputs(state);
+        assert.ok(inputs.every(input => state.players[input.player].bot));
+        step(state, inputs);
+    }
+    assert.equal(state.players.filter(player => player.bot).length, 3);
+});
+
+test('an autopilot-assisted run never sets the record', () => {
+    const state = game();
+    const player = place(state, { x: 5, y: 4 });
+    player.assisted = true;
+    state.foods = [food({ x: 6, y: 4 })];
+
+    step(state, []);
+
+    assert.ok(player.score > 0);
+    assert.equal(state.best, 0);
+});
+
+test('only unassisted solo runs count for the score tables', () => {
+    const solo = game();
+    const versus = game({ players: 2 });
+    const withBot = game({ bots: ['easy'] });
+
+    assert.ok(solo.countsForRecords(solo.players[0]));
+    assert.ok(withBot.countsForRecords(withBot.players[0]));
+    assert.equal(withBot.countsForRecords(withBot.players[1]), false);
+    assert.equal(versus.countsForRecords(versus.players[0]), false);
+
+    solo.players[0].assisted = true;
+    assert.equal(solo.countsForRecords(solo.players[0]), false);
+});
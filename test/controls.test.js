@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { controls } from './helpers.js';
+
+const {
+    CONTROL_PRESETS,
+    VERSUS_PRESET,
+    findConflict,
+    findVersusConflict,
+    formatKey,
+    getAction,
+    getVersusMove,
+    isValidControls,
+    isValidVersusControls,
+    readGamepad,
+    readSwipe
+} = controls;
+
+function bindings(overrides = {}) {
+    return { ...structuredClone(CONTROL_PRESETS.default), ...overrides };
+}
+
+function pad({ buttons = [], axes = [0, 0, 0, 0] } = {}) {
+    return { buttons: Array.from({ length: 16 }, (_, i) => ({ pressed: buttons.includes(i) })), axes };
+}
+
+test('a key maps to the action bound to it', () => {
+    const keys = bindings();
+
+    assert.equal(getAction(keys, 'KeyW'), 'up');
+    assert.equal(getAction(keys, 'ArrowLeft'), 'left');
+    assert.equal(getAction(keys, 'KeyZ'), null);
+});
+
+test('both presets are valid', () => {
+    assert.ok(isValidControls(CONTROL_PRESETS.default));
+    assert.ok(isValidControls(CONTROL_PRESETS.vim));
+});
+
+test('a key bound twice makes the bindings invalid', () => {
+    assert.equal(isValidControls(bindings({ pause: ['KeyW'] })), false);
+    assert.equal(isValidControls(bindings({ up: ['KeyW', 'KeyW'] })), false);
+});
+
+test('malformed bindings are invalid', () => {
+    assert.equal(isValidControls(null), false);
+    assert.equal(isValidControls('default'), false);
+    assert.equal(isValidControls(bindings({ up: 'ArrowUp' })), false);
+    assert.equal(isValidControls(bindings({ up: [] })), false);
+    assert.equal(isValidControls(bindings({ up: ['ArrowUp', 'KeyW', 'KeyI'] })), false);
+    assert.equal(isValidControls(bindings({ up: ['ArrowUp', 7] })), false);
+    assert.equal(isValidControls(bindings({ up: [''] })), false);
+
+    const missing = bindings();
+    delete missing.autopilot;
+    assert.equal(isValidControls(missing), false);
+});
+
+test('a conflict names the action already holding the key', () => {
+    const keys = bindings();
+
+    assert.equal(findConflict(keys, 'KeyR', 'pause', 0), 'restart');
+    assert.equal(findConflict(keys, 'KeyZ', 'pause', 0), null);
+});
+
+test('rebinding a slot to its own key is not a conflict', () => {
+    const keys = bindings();
+
+    assert.equal(findConflict(keys, 'KeyW', 'up', 1), null);
+    // The action's other slot still counts
+    assert.equal(findConflict(keys, 'KeyW', 'up', 0), 'up');
+});
+
+test('each versus player steers with their own keys', () => {
+    const keys = structuredClone(VERSUS_PRESET);
+    keys[1].up = 'KeyI';
+
+    assert.deepEqual(getVersusMove(keys, 'KeyA'), { player: 0, dir: 'left' });
+    assert.deepEqual(getVersusMove(keys, 'KeyI'), { player: 1, dir: 'up' });
+    assert.equal(getVersusMove(keys, 'ArrowUp'), null);
+});
+
+test('a versus key may not be shared, even across players', () => {
+    assert.deepEqual(findVersusConflict(VERSUS_PRESET, 'KeyW', 1, 'up'), { player: 0, dir: 'up' });
+    assert.equal(findVersusConflict(VERSUS_PRESET, 'KeyW', 0, 'up'), null);
+    assert.equal(findVersusConflict(VERSUS_PRESET, 'KeyI', 1, 'up'), null);
+});
+
+test('malformed versus keys are invalid', () => {
+    const keys = () => structuredClone(VERSUS_PRESET);
+    const withP2 = (dir, code) => {
+        const all = keys();
+        all[1][dir] = code;
+        return all;
+    };
+
+    assert.ok(isValidVersusControls(VERSUS_PRESET));
+    assert.equal(isValidVersusControls(keys().slice(0, 1)), false);
+    assert.equal(isValidVersusControls([VERSUS_PRESET[0], null]), false);
+    assert.equal(isValidVersusControls(withP2('up', 'KeyW')), false);
+    assert.equal(isValidVersusControls(withP2('left', '')), false);
+    assert.equal(isValidVersusControls(withP2('down', ['ArrowDown'])), false);
+    assert.equal(isValidVersusControls(CONTROL_PRESETS.default), false);
+});
+
+test('the d-pad wins over the sticks', () => {
+    assert.deepEqual(readGamepad(pad({ buttons: [12], axes: [1, 0, 0, 0] })), { dir: 'up', start: false });
+    assert.deepEqual(readGamepad(pad({ buttons: [9] })), { dir: null, start: true });
+});
+
+test('a stick counts once it is past the deadzone', () => {
+    assert.equal(readGamepad(pad({ axes: [0.4, 0, 0, 0] })).dir, null);
+    assert.equal(readGamepad(pad({ axes: [0.6, -0.2, 0, 0] })).dir, 'right');
+    assert.equal(readGamepad(pad({ axes: [0, 0, -0.3, 0.9] })).dir, 'down');
+    assert.equal(readGamepad(pad({ axes: [-0.7, 0, 0, 0.9] })).dir, 'down');
+});
+
+test('a swipe turns along its longer side once it is long enough', () => {
+    assert.equal(readSwipe(10, 5), null);
+    assert.equal(readSwipe(40, -10), 'right');
+    assert.equal(readSwipe(-5, -30), 'up');
+    assert.equal(readSwipe(-30, 30), 'down');
+});
+
+test('keys get short labels', () => {
+    assert.equal(formatKey('ArrowUp'), '↑');
+    assert.equal(formatKey('KeyQ'), 'Q');
+    assert.equal(formatKey('Digit3'), '3');
+    assert.equal(formatKey('Numpad8'), 'Num 8');
+    assert.equal(formatKey(''), '—');
+});
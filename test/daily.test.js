@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { engine } from './helpers.js';
+
+const { CONFIG, Daily, Utils, createGame, step } = engine;
+
+test('a date gives the same challenge all day long', () => {
+    const morning = Daily.create(new Date(2024, 2, 9, 0, 5));
+    const night = Daily.create(new Date(2024, 2, 9, 23, 55));
+
+    assert.equal(morning.key, '2024-03-09');
+    assert.deepEqual(night, morning);
+});
+
+test('different dates get different seeds', () => {
+    const seeds = new Set();
+    for (let day = 1; day <= 28; day++) {
+        seeds.add(Daily.create(new Date(2024, 1, day)).seed);
+    }
+
+    assert.equal(seeds.size, 28);
+});
+
+test('daily rules come from the normal settings', () => {
+    for (let day = 1; day <= 28; day++) {
+        const { rules } = Daily.create(new Date(2024, 1, day));
+        assert.ok(CONFIG.BOARD_SIZES[rules.boardSize]);
+        assert.ok(CONFIG.DIFFICULTY_CURVES[rules.difficultyCurve]);
+        assert.ok(['solid', 'wrap'].includes(rules.wallMode));
+    }
+});
+
+test('everyone gets the same food on the same day', () => {
+    const { seed, rules } = Daily.create(new Date(2024, 2, 9));
+    const foods = () => {
+        const state = createGame({ ...rules }, seed);
+        const eaten = [];
+        for (let i = 0; i < 5; i++) {
+            const { pos } = state.foods[0];
+            eaten.push({ ...pos });
+            // Drop the snake's head right next to the food, facing it
+            const player = state.players[0];
+            const side = pos.x > 0 ? -1 : 1;
+            player.snake = [{ x: pos.x + side, y: pos.y }];
+            player.dir = { x: -side, y: 0 };
+            step(state);
+        }
+        return eaten;
+    };
+
+    assert.deepEqual(foods(), foods());
+});
+
+test('durations read as minutes and seconds', () => {
+    assert.equal(Utils.formatDuration(0), '0:00');
+    assert.equal(Utils.formatDuration(65999), '1:05');
+});
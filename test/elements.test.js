@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LEFT, RIGHT, engine, game as freePlay, place, stepClean } from './helpers.js';
+
+const { CONFIG, Level } = engine;
+
+function game(settings = {}) {
+    return freePlay({ wallMode: 'solid', ...settings });
+}
+
+function hazard(path, index = 0) {
+    return { path, index, step: 1, every: CONFIG.HAZARD_MOVE_TICKS };
+}
+
+test('a gate lets a snake through the way its arrow points', () => {
+    const state = game();
+    const player = place(state, { x: 5, y: 4 });
+    state.gates = [{ pos: { x: 6, y: 4 }, dir: { ...RIGHT } }];
+
+    stepClean(state);
+
+    assert.equal(state.status, 'playing');
+    assert.deepEqual(player.snake[0], { x: 6, y: 4 });
+});
+
+test('entering a gate against its arrow is a crash', () => {
+    const state = game();
+    place(state, { x: 5, y: 4 });
+    state.gates = [{ pos: { x: 6, y: 4 }, dir: { ...LEFT } }];
+
+    stepClean(state);
+
+    assert.equal(state.status, 'gameover');
+});
+
+test('a portal puts the head on its other end', () => {
+    const state = game();
+    const player = place(state, { x: 5, y: 4 });
+    state.portals = [[{ x: 6, y: 4 }, { x: 12, y: 9 }]];
+
+    stepClean(state);
+    assert.deepEqual(player.snake[0], { x: 12, y: 9 });
+    stepClean(state);
+    assert.deepEqual(player.snake[0], { x: 13, y: 9 });
+});
+
+test('a hazard patrols its lane and turns back at the ends', () => {
+    const state = game();
+    place(state, { x: 3, y: 2 });
+    const lane = [{ x: 10, y: 10 }, { x: 11, y: 10 }, { x: 12, y: 10 }];
+    state.hazards = [hazard(lane)];
+
+    const visited = [];
+    for (let tick = 0; tick < CONFIG.HAZARD_MOVE_TICKS * 4; tick++) {
+        stepClean(state);
+        if (state.tickCount % CONFIG.HAZARD_MOVE_TICKS === 0) {
+            visited.push(state.hazards[0].index);
+        }
+    }
+
+    assert.equal(state.status, 'playing');
+    assert.deepEqual(visited, [1, 2, 1, 0]);
+});
+
+test('running into a hazard ends the game', () => {
+    const state = game();
+    place(state, { x: 5, y: 4 });
+    state.hazards = [hazard([{ x: 6, y: 4 }, { x: 6, y: 5 }])];
+
+    stepClean(state);
+
+    assert.equal(state.status, 'gameover');
+});
+
+test('a hazard turns around rather than step onto a snake', () => {
+    const state = game();
+    place(state, { x: 12, y: 5 }, 4);
+    // Its next cell is under the snake's body
+    state.hazards = [hazard([{ x: 10, y: 4 }, { x: 10, y: 5 }])];
+    state.tickCount = CONFIG.HAZARD_MOVE_TICKS;
+
+    state.updateHazards();
+
+    assert.equal(state.hazards[0].index, 0);
+    assert.equal(state.hazards[0].step, -1);
+});
+
+test('free play unlocks portals, gates and hazards by level', () => {
+    const state = game({ boardSize: 'medium' });
+    const kinds = [];
+    for (let level = 1; level <= CONFIG.HAZARD_SPAWN_LEVEL; level++) {
+        state.level = level;
+        const element = state.spawnElement();
+        kinds.push(element ? element.kind : null);
+    }
+
+    assert.deepEqual(kinds.slice(0, CONFIG.PORTAL_SPAWN_LEVEL - 1), Array(CONFIG.PORTAL_SPAWN_LEVEL - 1).fill(null));
+    assert.equal(kinds[CONFIG.PORTAL_SPAWN_LEVEL - 1], 'portal');
+    kinds.forEach((kind, i) => {
+        if (kind) {
+            assert.ok(i + 1 >= CONFIG[`${kind.toUpperCase()}_SPAWN_LEVEL`], `${kind} at level ${i + 1}`);
+        }
+    });
+});
+
+test('stages keep their own layout', () => {
+    const stage = Level.parse({
+        version: 1,
+        cols: 10,
+        rows: 10,
+        start: { x: 1, y: 1, dir: 'R' },
+        target: 3,
+        map: ['..........', '..........', '.....>....', '..........', '..1....1..', ...Array(5).fill('..........')]
+    });
+    const state = game({ stage });
+    state.level = CONFIG.HAZARD_SPAWN_LEVEL;
+
+    assert.equal(state.spawnElement(), null);
+    assert.deepEqual(state.gates, [{ pos: { x: 5, y: 2 }, dir: RIGHT }]);
+    assert.deepEqual(state.portals, [[{ x: 2, y: 4 }, { x: 7, y: 4 }]]);
+});
@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { engine, food, game, place, stepClean } from './helpers.js';
+
+const { CONFIG, ITEMS, Replay, Utils, step } = engine;
+
+test('wrap mode carries the head across the edge', () => {
+    const state = game({ wallMode: 'wrap' });
+    const player = place(state, { x: state.cols - 1, y: 4 });
+
+    stepClean(state);
+
+    assert.equal(state.status, 'playing');
+    assert.deepEqual(player.snake[0], { x: 0, y: 4 });
+});
+
+test('solid walls end the game', () => {
+    const state = game({ wallMode: 'solid' });
+    place(state, { x: state.cols - 1, y: 4 });
+
+    const events = stepClean(state);
+
+    assert.equal(state.status, 'gameover');
+    assert.ok(events.some(event => event.type === 'gameOver'));
+});
+
+test('food in a streak scores a combo bonus', () => {
+    const state = game();
+    const player = place(state, { x: 5, y: 4 });
+
+    state.foods = [food({ x: 6, y: 4 })];
+    const first = stepClean(state).find(event => event.type === 'food');
+    state.foods = [food({ x: 7, y: 4 })];
+    const second = stepClean(state).find(event => event.type === 'food');
+
+    assert.equal(first.points, 10 + state.level);
+    assert.equal(first.streak, 1);
+    assert.equal(second.points, 10 + state.level + 2);
+    assert.equal(second.streak, 2);
+    assert.equal(player.score, first.points + second.points);
+    assert.equal(player.snake.length, 5);
+});
+
+test('the combo runs out after COMBO_DURATION', () => {
+    const state = game();
+    const player = place(state, { x: 5, y: 4 });
+
+    state.foods = [food({ x: 6, y: 4 })];
+    stepClean(state);
+    const ticks = Math.ceil(CONFIG.COMBO_DURATION / state.getCurrentSpeed()) + 1;
+    for (let i = 0; i < ticks; i++) {
+        stepClean(state);
+    }
+
+    assert.equal(player.combo.streak, 0);
+});
+
+test('picking up an item applies its effect and scores', () => {
+    const state = game();
+    const player = place(state, { x: 5, y: 4 });
+
+    state.items = [{ type: 'slow', pos: { x: 6, y: 4 }, spawnedAt: state.time }];
+    const pickup = stepClean(state).find(event => event.type === 'item');
+
+    assert.equal(pickup.itemType, 'slow');
+    assert.equal(pickup.points, 5);
+    assert.equal(player.itemsUsed, 1);
+    assert.ok(state.hasEffect(player, 'slow'));
+    assert.equal(state.getCurrentSpeed(), state.tickInterval * ITEMS.slow.speedFactor);
+});
+
+test('the multiplier item doubles food points', () => {
+    const state = game();
+    place(state, { x: 5, y: 4 });
+
+    state.items = [{ type: 'multiplier', pos: { x: 6, y: 4 }, spawnedAt: state.time }];
+    stepClean(state);
+    state.foods = [food({ x: 7, y: 4 })];
+    const eaten = stepClean(state).find(event => event.type === 'food');
+
+    assert.equal(eaten.points, (10 + state.level) * 2);
+});
+
+test('items left on the board expire', () => {
+    const state = game();
+    place(state, { x: 5, y: 4 });
+
+    state.items = [{ type: 'slow', pos: { x: 5, y: 10 }, spawnedAt: state.time }];
+    const ticks = Math.ceil(CONFIG.ITEM_DURATION / state.getCurrentSpeed()) + 1;
+    for (let i = 0; i < ticks; i++) {
+        step(state);
+        state.foods = [];
+    }
+
+    assert.equal(state.items.length, 0);
+});
+
+test('a warned obstacle turns solid once its warning is over', () => {
+    const state = game();
+    place(state, { x: 5, y: 4 });
+    const pos = { x: 10, y: 10 };
+    const key = Utils.coordToString(pos.x, pos.y);
+
+    state.warningObstacles.push({ pos, activatesAt: state.time + 1500 });
+    const activations = [];
+    while (state.time < 1500) {
+        assert.ok(!state.obstacles.has(key));
+        activations.push(...stepClean(state).filter(event => event.type === 'obstacleActivated'));
+    }
+
+    assert.deepEqual(activations.map(event => event.pos), [pos]);
+    assert.ok(state.obstacles.has(key));
+    assert.equal(state.warningObstacles.length, 0);
+});
+
+test('running into an obstacle ends the game', () => {
+    const state = game();
+    place(state, { x: 5, y: 4 });
+    state.obstacles.add(Utils.coordToString(6, 4));
+
+    stepClean(state);
+
+    assert.equal(state.status, 'gameover');
+});
+
+test('a replay re-runs to the same game', () => {
+    // Head straight for the first food, a row at a time, until it crashes
+    const toward = state => {
+        const head = state.players[0].snake[0];
+        const target = state.foods[0].pos;
+        return target.x !== head.x
+            ? { x: Math.sign(target.x - head.x), y: 0 }
+            : { x: 0, y: Math.sign(target.y - head.y) };
+    };
+    const original = game({ boardSize: 'medium' }, 1234);
+    for (let tick = 0; tick < 1000 && original.status === 'playing'; tick++) {
+        step(original, [toward(original)]);
+    }
+    assert.ok(original.players[0].score > 0);
+
+    const replay = Replay.parse(Replay.serialize(Replay.create(original)));
+    const copy = game(replay.settings, replay.seed);
+    let cursor = 0;
+    while (copy.tickCount < replay.ticks) {
+        const input = [];
+        while (cursor < replay.inputs.length && replay.inputs[cursor][0] <= copy.tickCount) {
+            input.push(Replay.decodeInput(replay.inputs[cursor]));
+            cursor++;
+        }
+        step(copy, input);
+    }
+
+    assert.equal(copy.players[0].score, original.players[0].score);
+    assert.equal(copy.status, original.status);
+    assert.deepEqual(copy.players[0].snake, original.players[0].snake);
+    assert.deepEqual(copy.foods, original.foods);
+});
+
+test('a run keeps its best combo and the items it used', () => {
+    const state = game();
+    const player = place(state, { x: 5, y: 4 });
+
+    state.foods = [food({ x: 6, y: 4 })];
+    stepClean(state);
+    state.foods = [food({ x: 7, y: 4 })];
+    stepClean(state);
+    state.items = [{ type: 'ghost', pos: { x: 8, y: 4 }, spawnedAt: state.time }];
+    stepClean(state);
+    const ticks = Math.ceil(CONFIG.COMBO_DURATION / state.getCurrentSpeed()) + 1;
+    for (let i = 0; i < ticks; i++) {
+        stepClean(state);
+    }
+
+    assert.equal(player.combo.streak, 0);
+    assert.equal(player.maxCombo, 2);
+    assert.equal(player.itemsUsed, 1);
+    assert.equal(player.foodsEaten, 2);
+});
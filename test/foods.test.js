@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { engine, food, game, place as placeSnake } from './helpers.js';
+
+const { CONFIG, FOODS, Level, createGame, step } = engine;
+
+// The solo snake at `head` heading right, with `foods` as the only food
+function place(state, head, foods = [], length = 3) {
+    const player = placeSnake(state, head, length);
+    state.foods = foods.map(([type, x, y]) => food({ x, y }, type));
+    return player;
+}
+
+function eat(state) {
+    return step(state).find(event => event.type === 'food');
+}
+
+function counted(state) {
+    return state.foods.filter(({ type }) => FOODS[type].counts).length;
+}
+
+test('the board keeps the chosen number of counted foods', () => {
+    CONFIG.FOOD_COUNTS.forEach(foodCount => {
+        const state = game({ foodCount });
+        assert.equal(counted(state), foodCount);
+
+        const target = state.foods.find(({ type }) => FOODS[type].counts);
+        place(state, { x: target.pos.x - 1, y: target.pos.y });
+        state.foods = [target];
+        step(state);
+        assert.equal(counted(state), foodCount);
+    });
+});
+
+test('golden food is worth three times the base', () => {
+    const state = game();
+    const player = place(state, { x: 5, y: 4 }, [['golden', 6, 4]]);
+
+    const eaten = eat(state);
+
+    assert.equal(eaten.points, (10 + state.level) * FOODS.golden.value);
+    assert.equal(player.snake.length, 4);
+});
+
+test('golden food disappears after its lifetime', () => {
+    const state = game();
+    place(state, { x: 5, y: 4 }, [['golden', 5, 10]]);
+
+    while (state.time <= FOODS.golden.lifetime) {
+        step(state);
+    }
+
+    assert.ok(!state.foods.some(({ type, spawnedAt }) => type === 'golden' && spawnedAt === 0));
+    assert.equal(counted(state), 1);
+});
+
+test('poison shrinks the snake, breaks the combo and scores nothing', () => {
+    const state = game();
+    const player = place(state, { x: 8, y: 4 }, [['poison', 9, 4], ['normal', 15, 12]], 5);
+    player.combo.streak = 3;
+
+    const eaten = eat(state);
+
+    assert.equal(eaten.points, 0);
+    assert.equal(player.score, 0);
+    assert.equal(player.snake.length, 5 - FOODS.poison.segments);
+    assert.equal(player.combo.streak, 0);
+    assert.equal(state.foodsEaten, 0);
+});
+
+test('fleeing food steps away from a head that comes close', () => {
+    const state = game();
+    place(state, { x: 5, y: 4 }, [['fleeing', 8, 4]]);
+    const start = { x: 8, y: 4 };
+
+    step(state);
+    step(state);
+
+    const fleeing = state.foods.find(({ type }) => type === 'fleeing');
+    const distance = pos => Math.abs(pos.x - state.players[0].snake[0].x) + Math.abs(pos.y - state.players[0].snake[0].y);
+    assert.notDeepEqual(fleeing.pos, start);
+    assert.ok(distance(fleeing.pos) >= 2);
+});
+
+test('a bonus cluster spawns its pieces around the first', () => {
+    const sizes = [];
+    for (let seed = 1; seed <= 10; seed++) {
+        const state = game({}, seed);
+        place(state, { x: 5, y: 4 });
+
+        state.placeFood('bonus');
+
+        // Pieces only go in free cells next to the first, so edges trim it
+        const [first, ...rest] = state.foods.map(({ pos }) => pos);
+        assert.ok(state.foods.every(({ type }) => type === 'bonus'));
+        assert.ok(rest.every(pos => Math.abs(pos.x - first.x) <= 1 && Math.abs(pos.y - first.y) <= 1));
+        sizes.push(state.foods.length);
+    }
+
+    assert.equal(Math.max(...sizes), FOODS.bonus.cluster);
+});
+
+test('stages only spawn normal food', () => {
+    const stage = Level.parse({
+        version: 1,
+        cols: 10,
+        rows: 10,
+        start: { x: 1, y: 1, dir: 'R' },
+        target: 3,
+        map: Array(10).fill('..........')
+    });
+
+    for (let seed = 1; seed <= 20; seed++) {
+        const state = createGame({ boardSize: 'small', wallMode: 'solid', difficultyCurve: 'normal', foodCount: 3, stage }, seed);
+        assert.ok(state.foods.every(({ type }) => type === 'normal'));
+    }
+});
@@ -0,0 +1,47 @@
+// Fixtures shared by the rule tests. Importing a game file runs it, which
+// puts its public names on the SnakeGame global.
+import '../engine.js';
+import '../ai.js';
+import '../controls.js';
+import '../themes.js';
+import '../i18n.js';
+import '../storage.js';
+import '../levels/campaign.js';
+
+export const { engine, ai, controls, i18n, storage, campaign } = globalThis.SnakeGame;
+
+export const UP = { x: 0, y: -1 };
+export const DOWN = { x: 0, y: 1 };
+export const LEFT = { x: -1, y: 0 };
+export const RIGHT = { x: 1, y: 0 };
+
+export function game(settings = {}, seed = 1) {
+    return engine.createGame({ boardSize: 'small', wallMode: 'wrap', difficultyCurve: 'normal', ...settings }, seed);
+}
+
+export function food(pos, type = 'normal') {
+    return { type, pos, spawnedAt: 0 };
+}
+
+// Lays a snake out behind `head`, heading `dir`
+export function lay(player, head, dir = RIGHT, length = 3) {
+    player.snake = Array.from({ length }, (_, i) => ({ x: head.x - dir.x * i, y: head.y - dir.y * i }));
+    player.dir = { ...dir };
+    player.dirQueue = [];
+    return player;
+}
+
+// Puts the first snake at `head`, heading right, with nothing else on the board
+export function place(state, head, length = 3) {
+    state.foods = [];
+    state.items = [];
+    return lay(state.players[0], head, RIGHT, length);
+}
+
+// Steps with a fixed board: the foods and items the tick spawned are dropped
+export function stepClean(state, input = []) {
+    const events = engine.step(state, input);
+    state.foods = [];
+    state.items = [];
+    return events;
+}
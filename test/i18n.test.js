@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { i18n } from './helpers.js';
+
+const { MESSAGES, LANGUAGES, I18n } = i18n;
+
+// Sets the language without touching a page
+function use(locale) {
+    I18n.locale = locale;
+    I18n.numberFormat = new Intl.NumberFormat(locale);
+    I18n.pluralRules = new Intl.PluralRules(locale);
+}
+
+test('every catalog has the same messages', () => {
+    const keys = Object.keys(MESSAGES.ko).sort();
+    LANGUAGES.forEach(language => {
+        assert.deepEqual(Object.keys(MESSAGES[language]).sort(), keys, language);
+    });
+});
+
+test('placeholders are filled with locale-formatted numbers', () => {
+    use('en');
+    assert.equal(I18n.t('daily.attempts', { count: 1 }), '1 attempt');
+    assert.equal(I18n.t('daily.attempts', { count: 1200 }), '1,200 attempts');
+
+    use('ko');
+    assert.equal(I18n.t('daily.attempts', { count: 1200 }), '도전 1,200회');
+    assert.equal(I18n.t('no.such.key'), 'no.such.key');
+});
+
+test('every error code the rules raise has a message', () => {
+    const codes = ['profileInvalid', 'profileNewer', 'replayCorrupt', 'replayInputs', 'replaySettings',
+        'replayVersion', 'stageItems', 'stageMap', 'stagePortals', 'stageSize', 'stageStart',
+        'stageStartFloor', 'stageTarget', 'stageVersion', 'stageWallMode'];
+    LANGUAGES.forEach(language => {
+        codes.forEach(code => assert.ok(MESSAGES[language][`error.${code}`], `${language} error.${code}`));
+    });
+    use('en');
+    assert.equal(I18n.error(new SyntaxError('x')), MESSAGES.en['error.json']);
+    assert.equal(I18n.error(new Error('plain')), 'plain');
+});
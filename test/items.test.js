@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { engine, food, game as freePlay, place, stepClean } from './helpers.js';
+
+const { ITEMS, Utils, step } = engine;
+
+function game(settings = {}) {
+    return freePlay({ wallMode: 'solid', ...settings });
+}
+
+test('a refresh item restarts its timer instead of adding to it', () => {
+    const state = game();
+    const player = place(state, { x: 5, y: 4 });
+
+    state.applyItem(player, 'slow');
+    state.time += 2000;
+    state.applyItem(player, 'slow');
+
+    assert.equal(player.effects.slow.until, state.time + ITEMS.slow.duration);
+});
+
+test('an extend item adds up to its maximum', () => {
+    const state = game();
+    const player = place(state, { x: 5, y: 4 });
+    const { duration, maxDuration } = ITEMS.multiplier;
+
+    state.applyItem(player, 'multiplier');
+    state.time += 1000;
+    state.applyItem(player, 'multiplier');
+    assert.equal(player.effects.multiplier.until, state.time + (duration - 1000) + duration);
+
+    state.applyItem(player, 'multiplier');
+    assert.equal(player.effects.multiplier.until, state.time + maxDuration);
+});
+
+test('shield charges stack up to their maximum', () => {
+    const state = game();
+    const player = place(state, { x: 5, y: 4 });
+
+    for (let i = 0; i < ITEMS.shield.maxCharges + 2; i++) {
+        state.applyItem(player, 'shield');
+    }
+
+    assert.equal(player.effects.shield.charges, ITEMS.shield.maxCharges);
+});
+
+test('a shield charge takes a crash and the snake holds its cell', () => {
+    const state = game();
+    const player = place(state, { x: 5, y: 4 });
+    state.applyItem(player, 'shield');
+    state.obstacles.add(Utils.coordToString(6, 4));
+
+    const events = stepClean(state);
+
+    assert.equal(state.status, 'playing');
+    assert.ok(events.some(event => event.type === 'shieldBlock'));
+    assert.deepEqual(player.snake[0], { x: 5, y: 4 });
+    assert.equal(player.effects.shield.charges, 0);
+
+    // The grace period covers the next crash, then the snake is on its own
+    stepClean(state);
+    assert.equal(state.status, 'playing');
+    while (state.time < player.effects.shield?.until) {
+        stepClean(state);
+    }
+    stepClean(state);
+    assert.equal(state.status, 'gameover');
+});
+
+test('timed effects expire with an event', () => {
+    const state = game({ wallMode: 'wrap' });
+    const player = place(state, { x: 5, y: 4 });
+    state.applyItem(player, 'ghost');
+
+    const expired = [];
+    for (let tick = 0; tick < 100 && state.hasEffect(player, 'ghost'); tick++) {
+        expired.push(...stepClean(state).filter(event => event.type === 'effectExpired'));
+    }
+
+    assert.deepEqual(expired.map(event => event.itemType), ['ghost']);
+    assert.equal(player.effects.ghost, undefined);
+});
+
+test('shrink drops tail segments but keeps the head', () => {
+    const state = game();
+    const player = place(state, { x: 8, y: 4 }, 6);
+
+    state.applyItem(player, 'shrink');
+    assert.equal(player.snake.length, 6 - ITEMS.shrink.segments);
+
+    state.applyItem(player, 'shrink');
+    assert.equal(player.snake.length, 1);
+});
+
+test('reverse swaps head and tail and turns the snake around', () => {
+    const state = game();
+    const player = place(state, { x: 8, y: 4 }, 4);
+
+    state.applyItem(player, 'reverse');
+
+    assert.deepEqual(player.snake[0], { x: 5, y: 4 });
+    assert.deepEqual(player.dir, { x: -1, y: 0 });
+});
+
+test('clear removes obstacles and pending warnings', () => {
+    const state = game();
+    const player = place(state, { x: 5, y: 4 });
+    state.obstacles.add(Utils.coordToString(10, 10));
+    state.warningObstacles.push({ pos: { x: 12, y: 10 }, activatesAt: state.time + 1500 });
+
+    state.applyItem(player, 'clear');
+
+    assert.equal(state.obstacles.size, 0);
+    assert.equal(state.warningObstacles.length, 0);
+});
+
+test('the magnet pulls food in range toward the head', () => {
+    const state = game({ wallMode: 'wrap' });
+    const player = place(state, { x: 5, y: 4 });
+    state.applyItem(player, 'magnet');
+    state.foods = [food({ x: 5, y: 9 })];
+
+    step(state);
+
+    // The head moved right, the food one cell up toward it
+    assert.deepEqual(player.snake[0], { x: 6, y: 4 });
+    assert.deepEqual(state.foods[0].pos, { x: 5, y: 8 });
+});
+
+test('spawned items follow the registry weights', () => {
+    const state = game();
+    const counts = {};
+    for (let i = 0; i < 2000; i++) {
+        const type = state.rng.weighted(Object.keys(ITEMS), type => ITEMS[type].weight);
+        counts[type] = (counts[type] || 0) + 1;
+    }
+
+    assert.ok(counts.slow > counts.reverse);
+    assert.ok(Object.keys(ITEMS).every(type => counts[type] > 0));
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { campaign, engine, food, place, stepClean } from './helpers.js';
+
+const { ITEM_TYPES, Level, Utils, createGame } = engine;
+const { CAMPAIGN } = campaign;
+
+function stage(overrides = {}) {
+    return {
+        version: 1,
+        id: 'box',
+        name: '상자',
+        cols: 10,
+        rows: 8,
+        map: ['##########', ...Array(6).fill('#........#'), '##########'],
+        start: { x: 2, y: 3, dir: 'R' },
+        target: 2,
+        ...overrides
+    };
+}
+
+test('a stage parses with its defaults filled in', () => {
+    const level = Level.parse(JSON.stringify(stage()));
+
+    assert.equal(level.cols, 10);
+    assert.deepEqual(level.items, ITEM_TYPES);
+    assert.equal(level.wallMode, 'solid');
+    assert.equal(Level.getWalls(level).length, 10 * 2 + 6 * 2);
+});
+
+test('stages with a bad grid are rejected', () => {
+    const bad = [
+        { cols: 7 },
+        { rows: 61 },
+        { map: Array(7).fill('#........#') },
+        { map: ['##########', ...Array(6).fill('#.......#'), '##########'] },
+        { map: 'not rows' }
+    ];
+    bad.forEach(overrides => {
+        assert.throws(() => Level.parse(stage(overrides)), JSON.stringify(overrides));
+    });
+});
+
+test('stages with unknown tiles are rejected', () => {
+    const map = stage().map.slice();
+    map[2] = '#...x....#';
+
+    assert.throws(() => Level.parse(stage({ map })), /지도/);
+});
+
+test('portal digits must come in pairs', () => {
+    const map = stage().map.slice();
+    map[2] = '#.1....1.#';
+    map[5] = '#...2....#';
+
+    assert.throws(() => Level.parse(stage({ map })), /포털/);
+    map[5] = '#...2..2.#';
+    assert.deepEqual(Level.getPortals(Level.parse(stage({ map }))), [
+        [{ x: 2, y: 2 }, { x: 7, y: 2 }],
+        [{ x: 4, y: 5 }, { x: 7, y: 5 }]
+    ]);
+});
+
+test('a stage must start on floor, inside the board, facing a direction', () => {
+    assert.throws(() => Level.parse(stage({ start: { x: 0, y: 0, dir: 'R' } })), /빈 칸/);
+    assert.throws(() => Level.parse(stage({ start: { x: 10, y: 3, dir: 'R' } })), /시작/);
+    assert.throws(() => Level.parse(stage({ start: { x: 2, y: 3, dir: 'X' } })), /시작/);
+});
+
+test('targets, items and wall modes are checked', () => {
+    assert.throws(() => Level.parse(stage({ target: 0 })));
+    assert.throws(() => Level.parse(stage({ items: ['rocket'] })));
+    assert.throws(() => Level.parse(stage({ wallMode: 'bouncy' })));
+    assert.throws(() => Level.parse(stage({ version: 2 })));
+});
+
+test('cells walled off from the start are unreachable', () => {
+    const map = stage().map.slice();
+    // A closed room in the right-hand corner
+    map[1] = '#....#...#';
+    map[2] = '#....#...#';
+    map[3] = '#....#####';
+
+    const room = [];
+    for (let y = 1; y <= 2; y++) {
+        for (let x = 6; x <= 8; x++) {
+            room.push({ x, y });
+        }
+    }
+    assert.deepEqual(Level.getUnreachable(Level.parse(stage({ map }))), room);
+
+    // A portal into the room opens it up
+    map[5] = '#...1....#';
+    map[2] = '#....#.1.#';
+    assert.deepEqual(Level.getUnreachable(Level.parse(stage({ map }))), []);
+});
+
+test('wrapping walls reach round the edge', () => {
+    // A wall down the middle: only the edges connect the two halves
+    const map = Array(8).fill('....#.....');
+    const level = overrides => Level.parse(stage({ map, ...overrides }));
+
+    assert.equal(Level.getUnreachable(level({ wallMode: 'solid' })).length, 8 * 5);
+    assert.deepEqual(Level.getUnreachable(level({ wallMode: 'wrap' })), []);
+});
+
+test('a portal puts the head on its other end', () => {
+    const map = stage().map.slice();
+    map[3] = '#..1.....#';
+    map[6] = '#......1.#';
+    const state = createGame({ difficultyCurve: 'normal', wallMode: 'solid', stage: Level.parse(stage({ map })) }, 1);
+    const player = place(state, { x: 2, y: 3 });
+
+    stepClean(state);
+    assert.deepEqual(player.snake[0], { x: 7, y: 6 });
+    stepClean(state);
+    assert.deepEqual(player.snake[0], { x: 8, y: 6 });
+});
+
+test('a stage game starts on the stage and clears at its target', () => {
+    const level = Level.parse(stage());
+    const state = createGame({ difficultyCurve: 'normal', wallMode: level.wallMode, stage: level }, 1);
+    assert.ok(state.obstacles.has(Utils.coordToString(0, 0)));
+    assert.deepEqual(state.players[0].snake[0], { x: 2, y: 3 });
+
+    const player = place(state, { x: 2, y: 3 });
+    state.foods = [food({ x: 3, y: 3 })];
+    stepClean(state);
+    state.foods = [food({ x: 4, y: 3 })];
+    const events = stepClean(state);
+
+    assert.equal(player.foodsEaten, 2);
+    assert.equal(state.status, 'cleared');
+    assert.ok(events.some(event => event.type === 'stageClear' && event.stage === 'box'));
+});
+
+test('every campaign stage is valid and has its own id', () => {
+    const levels = CAMPAIGN.levels.map(data => Level.parse(data));
+
+    assert.ok(levels.length > 0);
+    assert.equal(new Set(levels.map(level => level.id)).size, levels.length);
+    levels.forEach(level => assert.deepEqual(Level.getUnreachable(level), [], level.id));
+});
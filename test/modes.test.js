@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RIGHT, engine, game, place, stepClean } from './helpers.js';
+
+const { MODES, Replay, Utils, finishGame, step } = engine;
+
+test('time attack ends when the clock runs out', () => {
+    const state = game({ mode: 'timeAttack' });
+    place(state, { x: 5, y: 4 });
+
+    let events = [];
+    while (state.status === 'playing') {
+        assert.ok(state.time < MODES.timeAttack.timeLimit);
+        events = stepClean(state);
+    }
+
+    assert.ok(state.time >= MODES.timeAttack.timeLimit);
+    assert.equal(state.endReason, 'timeUp');
+    assert.ok(events.some(event => event.type === 'gameOver' && event.reason === 'timeUp'));
+});
+
+test('a zen crash costs points instead of the run', () => {
+    const state = game({ mode: 'zen', wallMode: 'solid' });
+    const player = place(state, { x: 5, y: 4 });
+    player.score = 50;
+    state.obstacles.add(Utils.coordToString(6, 4));
+
+    const crash = stepClean(state).find(event => event.type === 'crash');
+
+    assert.equal(state.status, 'playing');
+    assert.equal(crash.points, -MODES.zen.crashPenalty);
+    assert.equal(player.score, 50 - MODES.zen.crashPenalty);
+    assert.equal(player.crashes, 1);
+    // It turned aside rather than stay pointed at the obstacle
+    assert.notDeepEqual(player.dir, RIGHT);
+});
+
+test('a zen crash never takes the score below zero', () => {
+    const state = game({ mode: 'zen', wallMode: 'solid' });
+    const player = place(state, { x: 5, y: 4 });
+    player.score = 5;
+    state.obstacles.add(Utils.coordToString(6, 4));
+
+    stepClean(state);
+
+    assert.equal(player.score, 0);
+});
+
+test('finishing a zen run ends it without a crash', () => {
+    const state = game({ mode: 'zen' });
+    place(state, { x: 5, y: 4 });
+    stepClean(state);
+
+    const event = finishGame(state, 'ended');
+
+    assert.equal(state.status, 'gameover');
+    assert.equal(state.endReason, 'ended');
+    assert.equal(event.reason, 'ended');
+    assert.ok(state.players[0].alive);
+});
+
+test('survival warns of an obstacle on the clock', () => {
+    const state = game({ mode: 'survival' });
+    place(state, { x: 5, y: 4 });
+
+    const warnedAt = [];
+    while (state.time < MODES.survival.obstacleEvery * 2) {
+        if (stepClean(state).some(event => event.type === 'obstacleWarning')) {
+            warnedAt.push(state.time);
+        }
+    }
+
+    assert.equal(warnedAt.length, 2);
+    assert.ok(warnedAt[0] >= MODES.survival.obstacleEvery);
+    assert.ok(warnedAt[1] >= MODES.survival.obstacleEvery * 2);
+    assert.equal(state.status, 'playing');
+});
+
+test('other modes bring no obstacles on the clock', () => {
+    const state = game();
+    place(state, { x: 5, y: 4 });
+
+    while (state.time < MODES.survival.obstacleEvery * 2) {
+        assert.ok(!stepClean(state).some(event => event.type === 'obstacleWarning'));
+    }
+});
+
+test('pure mode has no items and no combos', () => {
+    const state = game({ mode: 'pure' });
+    const player = place(state, { x: 5, y: 4 });
+
+    for (let i = 0; i < 200; i++) {
+        state.spawnItem();
+    }
+    assert.equal(state.items.length, 0);
+
+    const points = [];
+    for (let x = 6; x <= 7; x++) {
+        state.foods = [{ type: 'normal', pos: { x, y: 4 }, spawnedAt: state.time }];
+        points.push(stepClean(state).find(event => event.type === 'food').points);
+    }
+    assert.deepEqual(points, [10 + state.level, 10 + state.level]);
+    assert.equal(player.combo.streak, 0);
+});
+
+test('classic plays the same as no mode at all', () => {
+    const play = settings => {
+        const state = game(settings, 99);
+        for (let tick = 0; tick < 300 && state.status === 'playing'; tick++) {
+            step(state);
+        }
+        return state;
+    };
+
+    const classic = play({ mode: 'classic' });
+    const plain = play({});
+
+    assert.equal(classic.tickCount, plain.tickCount);
+    assert.equal(classic.status, plain.status);
+    assert.deepEqual(classic.players[0].snake, plain.players[0].snake);
+    assert.deepEqual(classic.foods, plain.foods);
+});
+
+test('a replay with an unknown mode is rejected', () => {
+    const state = game({ mode: 'zen' });
+    step(state);
+    const data = JSON.parse(Replay.serialize(Replay.create(state)));
+    assert.equal(Replay.parse(JSON.stringify(data)).settings.mode, 'zen');
+
+    data.settings.mode = 'sudden';
+    assert.throws(() => Replay.parse(JSON.stringify(data)), { code: 'replaySettings' });
+});
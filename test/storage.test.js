@@ -0,0 +1,247 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { controls, storage } from './helpers.js';
+
+const { Storage } = storage;
+
+// A localStorage stand-in holding `items`; Storage reloads from it
+function open(items = {}) {
+    const store = new Map(Object.entries(items));
+    globalThis.localStorage = {
+        getItem: key => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key)
+    };
+    Storage.data = null;
+    Storage.recovered = false;
+    Storage.load();
+    return store;
+}
+
+function entry(score, extra = {}) {
+    return { name: 'A', score, level: 1, maxCombo: 0, length: 3, foods: 0, items: 0, duration: 1000, playedAt: score, ...extra };
+}
+
+test('a first run starts from the defaults', () => {
+    const store = open();
+
+    assert.equal(Storage.getSettings().boardSize, 'medium');
+    assert.deepEqual(Storage.getHighScores('medium-solid-normal'), []);
+    assert.equal(JSON.parse(store.get('snake.save')).version, 2);
+});
+
+test('the loose keys move into the save document', () => {
+    const store = open({
+        'snake.best': '120',
+        'snake.settings': JSON.stringify({ boardSize: 'small', wallMode: 'wrap', difficultyCurve: 'steep' })
+    });
+
+    assert.equal(Storage.getSettings().boardSize, 'small');
+    assert.deepEqual(Storage.getHighScores('small-wrap-steep').map(score => [score.name, score.score]), [['', 120]]);
+    assert.ok(!store.has('snake.best'));
+    assert.ok(!store.has('snake.settings'));
+    assert.equal(JSON.parse(store.get('snake.save')).version, 2);
+});
+
+test('a best score without saved settings joins the default table', () => {
+    open({ 'snake.best': '45' });
+
+    assert.equal(Storage.getBestScore('medium-solid-normal'), 45);
+});
+
+test('keys the first release never wrote are left alone', () => {
+    const store = open({ 'snake.best': '30', 'snake.name': 'Jay' });
+
+    assert.equal(Storage.getPlayerName(), '');
+    assert.equal(store.get('snake.name'), 'Jay');
+});
+
+test('the stored Korean default name is cleared so it shows in any language', () => {
+    open({
+        'snake.save': JSON.stringify({
+            version: 1,
+            playerName: '플레이어',
+            scores: { 'small-solid-normal': [entry(50, { name: '플레이어' }), entry(40, { name: 'Jay' })] }
+        })
+    });
+
+    assert.equal(Storage.getPlayerName(), '');
+    assert.deepEqual(Storage.getHighScores('small-solid-normal').map(score => score.name), ['', 'Jay']);
+});
+
+test('usable parts of a saved document survive, the rest resets', () => {
+    open({
+        'snake.save': JSON.stringify({
+            version: 1,
+            settings: { boardSize: 'huge', wallMode: 'wrap' },
+            playerName: '  Jay  ',
+            scores: { 'small-solid-normal': [entry(50), { score: -1 }, 'junk'] }
+        })
+    });
+
+    assert.equal(Storage.getSettings().boardSize, 'medium');
+    assert.equal(Storage.getSettings().wallMode, 'wrap');
+    assert.equal(Storage.getPlayerName(), 'Jay');
+    assert.deepEqual(Storage.getHighScores('small-solid-normal').map(score => score.score), [50]);
+});
+
+test('saved key bindings that do not hold together fall back to the preset', () => {
+    const { CONTROL_PRESETS } = controls;
+    const saved = bindings => {
+        open({ 'snake.save': JSON.stringify({ version: 1, settings: { controls: bindings } }) });
+        return Storage.getSettings().controls;
+    };
+    const vim = structuredClone(CONTROL_PRESETS.vim);
+
+    assert.deepEqual(saved(vim), vim);
+    assert.deepEqual(saved({ ...vim, up: 'KeyK' }), CONTROL_PRESETS.default);
+    assert.deepEqual(saved({ ...vim, down: ['KeyK'] }), CONTROL_PRESETS.default);
+    assert.deepEqual(saved({ ...vim, restart: undefined }), CONTROL_PRESETS.default);
+});
+
+test('saved versus keys that clash fall back to the preset', () => {
+    const { VERSUS_PRESET } = controls;
+    const clash = structuredClone(VERSUS_PRESET);
+    clash[1].up = clash[0].up;
+
+    open({ 'snake.save': JSON.stringify({ version: 2, settings: { versusControls: clash } }) });
+    assert.deepEqual(Storage.getSettings().versusControls, VERSUS_PRESET);
+
+    const custom = structuredClone(VERSUS_PRESET);
+    custom[1] = { up: 'KeyI', down: 'KeyK', left: 'KeyJ', right: 'KeyL' };
+    open({ 'snake.save': JSON.stringify({ version: 2, settings: { versusControls: custom } }) });
+    assert.deepEqual(Storage.getSettings().versusControls, custom);
+});
+
+test('a corrupt save starts fresh and keeps a copy', () => {
+    const store = open({ 'snake.save': '{ not json' });
+
+    assert.equal(Storage.getSettings().boardSize, 'medium');
+    assert.equal(store.get('snake.save.corrupt'), '{ not json');
+    assert.ok(Storage.recovered);
+    assert.equal(JSON.parse(store.get('snake.save')).version, 2);
+});
+
+test('a corrupt save loads the defaults even when no copy fits', () => {
+    const store = open();
+    store.set('snake.save', '{ not json');
+    const setItem = globalThis.localStorage.setItem;
+    globalThis.localStorage.setItem = (key, value) => {
+        if (key === 'snake.save.corrupt') throw new Error('quota');
+        setItem(key, value);
+    };
+    Storage.data = null;
+    Storage.load();
+
+    assert.ok(Storage.recovered);
+    assert.equal(Storage.getSettings().boardSize, 'medium');
+    assert.ok(!store.has('snake.save.corrupt'));
+    assert.equal(JSON.parse(store.get('snake.save')).version, 2);
+});
+
+test('a save from a newer version is not read', () => {
+    const newer = JSON.stringify({ version: 99, settings: { boardSize: 'small' } });
+    const store = open({ 'snake.save': newer });
+
+    assert.equal(Storage.getSettings().boardSize, 'medium');
+    assert.equal(store.get('snake.save.corrupt'), newer);
+});
+
+test('a save with a negative version is not read', () => {
+    const store = open({ 'snake.save': JSON.stringify({ version: -1, settings: { boardSize: 'small' } }) });
+
+    assert.equal(Storage.getSettings().boardSize, 'medium');
+    assert.ok(Storage.recovered);
+    assert.ok(store.has('snake.save.corrupt'));
+});
+
+test('a save that stops fitting moves to memory', () => {
+    const store = open();
+    store.set = () => {
+        throw new Error('quota');
+    };
+
+    assert.equal(Storage.write(), false);
+    assert.equal(Storage.isPersistent(), false);
+    Storage.savePlayerName('Jay');
+    assert.equal(Storage.getPlayerName(), 'Jay');
+});
+
+test('without localStorage the data lives in memory', () => {
+    globalThis.localStorage = {
+        getItem() { throw new Error('denied'); },
+        setItem() { throw new Error('denied'); },
+        removeItem() {}
+    };
+    Storage.data = null;
+    Storage.load();
+    Storage.saveSettings({ boardSize: 'large' });
+
+    assert.equal(Storage.isPersistent(), false);
+    assert.equal(Storage.getSettings().boardSize, 'large');
+});
+
+test('score tables are kept per board, walls, curve, food count and mode', () => {
+    assert.equal(Storage.getScoreKey({ boardSize: 'small', wallMode: 'wrap', difficultyCurve: 'gentle' }), 'small-wrap-gentle');
+    assert.equal(Storage.getScoreKey({ boardSize: 'small', wallMode: 'wrap', difficultyCurve: 'gentle', foodCount: 1, mode: 'classic' }), 'small-wrap-gentle');
+    assert.equal(Storage.getScoreKey({ boardSize: 'small', wallMode: 'wrap', difficultyCurve: 'gentle', foodCount: 3, mode: 'zen' }), 'small-wrap-gentle-food3-zen');
+});
+
+test('a score table keeps the top ten, ties going to the faster run', () => {
+    open();
+    const key = 'small-solid-normal';
+    for (let score = 10; score <= 120; score += 10) {
+        Storage.addHighScore(key, entry(score));
+    }
+    const tie = entry(110, { duration: 500, playedAt: 1 });
+
+    assert.equal(Storage.addHighScore(key, tie), 2);
+    assert.equal(Storage.addHighScore(key, entry(5)), 0);
+
+    const scores = Storage.getHighScores(key);
+    assert.equal(scores.length, Storage.HIGH_SCORES_PER_TABLE);
+    assert.deepEqual(scores.map(score => score.score), [120, 110, 110, 100, 90, 80, 70, 60, 50, 40]);
+    assert.equal(scores[1].duration, 500);
+    assert.equal(Storage.getBestScore(key), 120);
+});
+
+test('a daily board counts attempts and keeps the best runs', () => {
+    open();
+    const day = '2024-03-09';
+    for (let score = 1; score <= 12; score++) {
+        Storage.addDailyScore(day, entry(score));
+    }
+
+    const board = Storage.getDailyBoards()[day];
+    assert.equal(board.attempts, 12);
+    assert.equal(board.scores.length, Storage.DAILY_SCORES_PER_DAY);
+    assert.equal(board.scores[0].score, 12);
+    assert.deepEqual(Storage.addDailyScore(day, entry(20)), { rank: 1, attempts: 13 });
+});
+
+test('only the most recent daily boards are kept', () => {
+    open();
+    for (let day = 1; day <= Storage.DAILY_DAYS_KEPT + 5; day++) {
+        const date = new Date(2024, 0, day);
+        Storage.addDailyScore(`${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`, entry(day));
+    }
+
+    const days = Object.keys(Storage.getDailyBoards()).sort();
+    assert.equal(days.length, Storage.DAILY_DAYS_KEPT);
+    assert.equal(days[0], '2024-01-06');
+});
+
+test('a profile round-trips through export and import', () => {
+    open();
+    Storage.savePlayerName('Jay');
+    Storage.addHighScore('small-solid-normal', entry(70));
+    const profile = Storage.exportProfile();
+
+    open();
+    Storage.importProfile(profile);
+
+    assert.equal(Storage.getPlayerName(), 'Jay');
+    assert.equal(Storage.getBestScore('small-solid-normal'), 70);
+    assert.throws(() => Storage.importProfile('{"version":99}'));
+    assert.throws(() => Storage.importProfile('[]'));
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOWN, LEFT, RIGHT, UP, engine, food, game, lay, stepClean } from './helpers.js';
+
+const { Replay, step } = engine;
+
+// Two snakes on an empty board
+function versus() {
+    const state = game({ players: 2, wallMode: 'solid' });
+    state.foods = [];
+    state.items = [];
+    return state;
+}
+
+test('a versus game starts two snakes apart', () => {
+    const state = versus();
+    const [one, two] = state.players;
+
+    assert.equal(state.players.length, 2);
+    assert.ok(state.isVersus());
+    assert.notEqual(one.snake[0].y, two.snake[0].y);
+    assert.deepEqual(one.dir, RIGHT);
+    assert.deepEqual(two.dir, LEFT);
+});
+
+test('each input steers only its own snake', () => {
+    const state = versus();
+    const [one, two] = state.players;
+
+    stepClean(state, [{ ...UP, player: 1 }]);
+
+    assert.deepEqual(one.dir, RIGHT);
+    assert.deepEqual(two.dir, UP);
+});
+
+test('running into the other snake loses the round', () => {
+    const state = versus();
+    const [one, two] = state.players;
+    lay(one, { x: 5, y: 4 }, RIGHT);
+    lay(two, { x: 6, y: 3 }, UP, 4);
+
+    const events = stepClean(state);
+
+    assert.equal(state.status, 'gameover');
+    assert.equal(one.alive, false);
+    assert.equal(two.alive, true);
+    assert.equal(state.winner, 1);
+    assert.ok(events.some(event => event.type === 'gameOver' && event.winner === 1));
+});
+
+test('a head-on crash is a draw', () => {
+    const state = versus();
+    const [one, two] = state.players;
+    lay(one, { x: 5, y: 4 }, RIGHT);
+    lay(two, { x: 7, y: 4 }, LEFT);
+
+    stepClean(state);
+
+    assert.equal(state.status, 'gameover');
+    assert.equal(one.alive, false);
+    assert.equal(two.alive, false);
+    assert.equal(state.winner, null);
+});
+
+test('a ghost slips through the other snake', () => {
+    const state = versus();
+    const [one, two] = state.players;
+    lay(one, { x: 5, y: 4 }, RIGHT);
+    lay(two, { x: 6, y: 3 }, UP, 4);
+    one.effects.ghost = { until: state.time + 5000, charges: 0 };
+
+    stepClean(state);
+
+    assert.equal(state.status, 'playing');
+    assert.deepEqual(one.snake[0], { x: 6, y: 4 });
+});
+
+test('a slowed snake sits out every third tick on a shared board', () => {
+    const state = versus();
+    const [one, two] = state.players;
+    lay(one, { x: 3, y: 2 }, RIGHT);
+    lay(two, { x: 3, y: 10 }, RIGHT);
+    one.effects.slow = { until: state.time + 5000, charges: 0 };
+
+    for (let i = 0; i < 6; i++) {
+        stepClean(state);
+    }
+
+    assert.equal(two.snake[0].x - 3, 6);
+    assert.equal(one.snake[0].x - 3, 4);
+});
+
+test('versus scores never touch the solo record', () => {
+    const state = versus();
+    const [one] = state.players;
+    lay(one, { x: 5, y: 4 }, RIGHT);
+    state.foods = [food({ x: 6, y: 4 })];
+
+    stepClean(state);
+
+    assert.ok(one.score > 0);
+    assert.equal(state.best, 0);
+});
+
+test('a versus replay keeps who pressed what', () => {
+    const original = versus();
+    const moves = [[2, DOWN, 0], [3, UP, 1], [6, RIGHT, 0], [8, LEFT, 1]];
+    for (let tick = 0; tick < 12 && original.status === 'playing'; tick++) {
+        const input = moves.filter(([at]) => at === tick).map(([, dir, player]) => ({ ...dir, player }));
+        step(original, input);
+    }
+
+    const replay = Replay.parse(Replay.serialize(Replay.create(original)));
+    assert.ok(replay.inputs.some(input => input[2] === 1));
+
+    const copy = game(replay.settings, replay.seed);
+    let cursor = 0;
+    while (copy.tickCount < replay.ticks) {
+        const input = [];
+        while (cursor < replay.inputs.length && replay.inputs[cursor][0] <= copy.tickCount) {
+            input.push(Replay.decodeInput(replay.inputs[cursor]));
+            cursor++;
+        }
+        step(copy, input);
+    }
+
+    assert.deepEqual(copy.players.map(player => player.snake), original.players.map(player => player.snake));
+});
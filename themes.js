@@ -0,0 +1,181 @@
+// ============================================
+// Jay's 지렁이게임 - Themes
+// ============================================
+//
+// A theme holds the canvas palette (same keys as CONFIG.COLORS) and the CSS
+// custom properties it overrides. The stylesheet's own :root values are
+// the dark theme, so it overrides nothing.
+
+(function (SnakeGame) {
+'use strict';
+
+const { CONFIG } = SnakeGame.engine;
+
+const THEMES = {
+    dark: {
+        colors: CONFIG.COLORS,
+        ui: {}
+    },
+    light: {
+        colors: {
+            SNAKES: [
+                { HEAD: '#16a34a', BODY: '#15803d' },
+                { HEAD: '#ea580c', BODY: '#c2410c' },
+                { HEAD: '#db2777', BODY: '#be185d' },
+                { HEAD: '#0891b2', BODY: '#0e7490' },
+                { HEAD: '#475569', BODY: '#334155' }
+            ],
+            FOOD: '#dc2626',
+            FOOD_GOLDEN: '#ca8a04',
+            FOOD_POISON: '#4d7c0f',
+            FOOD_FLEEING: '#ea580c',
+            FOOD_BONUS: '#db2777',
+            OBSTACLE: '#475569',
+            OBSTACLE_WARNING: 'rgba(71, 85, 105, 0.25)',
+            ITEM_SLOW: '#2563eb',
+            ITEM_GHOST: '#7c3aed',
+            ITEM_MULTIPLIER: '#d97706',
+            ITEM_SHRINK: '#e11d48',
+            ITEM_MAGNET: '#b91c1c',
+            ITEM_SHIELD: '#0d9488',
+            ITEM_REVERSE: '#9333ea',
+            ITEM_CLEAR: '#1e293b',
+            PORTALS: ['#0284c7', '#db2777', '#65a30d', '#ca8a04'],
+            GATE: '#64748b',
+            HAZARD: '#e11d48',
+            GRID: '#e2e8f0',
+            BACKGROUND: '#f8fafc'
+        },
+        ui: {
+            '--page-bg': 'linear-gradient(135deg, #c7d2fe 0%, #e9d5ff 100%)',
+            '--border': '#cbd5e1',
+            '--canvas-border': '#cbd5e1'
+        }
+    },
+    contrast: {
+        colors: {
+            SNAKES: [
+                { HEAD: '#00ff00', BODY: '#00c000' },
+                { HEAD: '#ffa500', BODY: '#d08000' },
+                { HEAD: '#ff00ff', BODY: '#c000c0' },
+                { HEAD: '#00ffff', BODY: '#00c0c0' },
+                { HEAD: '#ffffff', BODY: '#c0c0c0' }
+            ],
+            FOOD: '#ff3333',
+            FOOD_GOLDEN: '#ffff00',
+            FOOD_POISON: '#00ff00',
+            FOOD_FLEEING: '#ffa500',
+            FOOD_BONUS: '#ff80ff',
+            OBSTACLE: '#ffffff',
+            OBSTACLE_WARNING: 'rgba(255, 255, 255, 0.35)',
+            ITEM_SLOW: '#00bfff',
+            ITEM_GHOST: '#ffffff',
+            ITEM_MULTIPLIER: '#ffff00',
+            ITEM_SHRINK: '#ff8080',
+            ITEM_MAGNET: '#ff3333',
+            ITEM_SHIELD: '#00ff99',
+            ITEM_REVERSE: '#ff00ff',
+            ITEM_CLEAR: '#ffffff',
+            PORTALS: ['#00bfff', '#ff00ff', '#00ff00', '#ffff00'],
+            GATE: '#ffffff',
+            HAZARD: '#ff0080',
+            GRID: '#3a3a3a',
+            BACKGROUND: '#000000'
+        },
+        ui: {
+            '--page-bg': '#000000',
+            '--panel-bg': '#000000',
+            '--screen-bg': '#000000',
+            '--surface': '#111111',
+            '--input-bg': '#000000',
+            '--text': '#ffffff',
+            '--text-strong': '#ffffff',
+            '--text-muted': '#e5e5e5',
+            '--border': '#ffffff',
+            '--accent': '#ffff00',
+            '--canvas-border': '#ffffff',
+            '--effect-slow-bg': '#00bfff',
+            '--effect-slow-fg': '#000000',
+            '--effect-ghost-bg': '#ffffff',
+            '--effect-ghost-fg': '#000000',
+            '--effect-multiplier-bg': '#ffff00',
+            '--effect-multiplier-fg': '#000000',
+            '--effect-magnet-bg': '#ff3333',
+            '--effect-magnet-fg': '#000000',
+            '--effect-shield-bg': '#00ff99',
+            '--effect-shield-fg': '#000000'
+        }
+    },
+    // Okabe-Ito palette: distinct for deuteranopia and protanopia, with
+    // food and snake far apart in brightness as well as hue
+    colorblind: {
+        colors: {
+            SNAKES: [
+                { HEAD: '#56b4e9', BODY: '#0072b2' },
+                { HEAD: '#e69f00', BODY: '#b87f00' },
+                { HEAD: '#cc79a7', BODY: '#a35a85' },
+                { HEAD: '#009e73', BODY: '#007a59' },
+                { HEAD: '#ffffff', BODY: '#bbbbbb' }
+            ],
+            FOOD: '#d55e00',
+            FOOD_GOLDEN: '#f0e442',
+            FOOD_POISON: '#009e73',
+            FOOD_FLEEING: '#e69f00',
+            FOOD_BONUS: '#cc79a7',
+            OBSTACLE: '#8c8c8c',
+            OBSTACLE_WARNING: 'rgba(140, 140, 140, 0.3)',
+            ITEM_SLOW: '#56b4e9',
+            ITEM_GHOST: '#cc79a7',
+            ITEM_MULTIPLIER: '#f0e442',
+            ITEM_SHRINK: '#e69f00',
+            ITEM_MAGNET: '#d55e00',
+            ITEM_SHIELD: '#009e73',
+            ITEM_REVERSE: '#cc79a7',
+            ITEM_CLEAR: '#ffffff',
+            PORTALS: ['#56b4e9', '#e69f00', '#f0e442', '#cc79a7'],
+            GATE: '#bbbbbb',
+            HAZARD: '#e69f00',
+            GRID: '#374151',
+            BACKGROUND: '#1a1a2e'
+        },
+        ui: {
+            '--effect-slow-bg': '#56b4e9',
+            '--effect-slow-fg': '#000000',
+            '--effect-ghost-bg': '#cc79a7',
+            '--effect-ghost-fg': '#000000',
+            '--effect-multiplier-bg': '#f0e442',
+            '--effect-multiplier-fg': '#000000',
+            '--effect-magnet-bg': '#d55e00',
+            '--effect-magnet-fg': '#000000',
+            '--effect-shield-bg': '#009e73',
+            '--effect-shield-fg': '#000000'
+        }
+    }
+};
+
+// Every property any theme sets, so switching clears the previous ones
+const UI_PROPERTIES = [...new Set(Object.values(THEMES).flatMap(theme => Object.keys(theme.ui)))];
+
+// The theme in use. The renderers and HUD read `Theme.colors` when they draw.
+const Theme = {
+    id: 'dark',
+    colors: CONFIG.COLORS,
+
+    apply(id) {
+        const theme = THEMES[id] || THEMES.dark;
+        this.id = THEMES[id] ? id : 'dark';
+        this.colors = theme.colors;
+
+        const root = document.documentElement;
+        root.dataset.theme = this.id;
+        UI_PROPERTIES.forEach(name => root.style.removeProperty(name));
+        Object.entries(theme.ui).forEach(([name, value]) => root.style.setProperty(name, value));
+
+        // Versus panels are edged in the players' snake colours
+        root.style.setProperty('--snake-1', theme.colors.SNAKES[0].BODY);
+        root.style.setProperty('--snake-2', theme.colors.SNAKES[1].BODY);
+    }
+};
+
+SnakeGame.themes = { THEMES, Theme };
+})(globalThis.SnakeGame ??= {});